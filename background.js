@@ -5,10 +5,115 @@
 
 // Constants
 const DOWNLOAD_CONFIG = {
-  RATE_LIMIT_MS: 300, // ~3 downloads per second
-  FOLDER: 'grok-imagine'
+  RATE_LIMIT_MS: 300, // Default pause between starting two downloads
+  MAX_CONCURRENT: 3, // Default number of downloads in flight at once
+  FOLDER: 'grok-imagine',
+  JOB_KEY: 'downloadJob',
+  SIDECAR_KEY_PREFIX: 'sidecarBody:', // + job ID and item ID; sidecar JSON is kept out of the job itself
+  LEDGER_KEY: 'downloadLedger',
+  SETTINGS_KEY: 'settings',
+  RESUME_ALARM: 'resumeDownloadJob',
+  RESUME_ALARM_PERIOD_MINUTES: 0.5, // Wakes the worker back up if Chrome stopped it mid-job
+  MAX_RETRIES: 3,
+  RETRY_BASE_DELAY_MS: 2000, // Doubles after every failed attempt
+  INTERRUPT_CLUSTER_WINDOW_MS: 30000,
+  INTERRUPT_CLUSTER_SIZE: 3, // This many interruptions inside the window pauses the whole queue
+  CLUSTER_BACKOFF_BASE_MS: 5000, // Doubles for every consecutive cluster
+  CLUSTER_BACKOFF_MAX_MS: 120000,
+  MIN_MEDIA_BYTES: 1024 // Real images and videos are never this small; error pages often are
 };
 
+// IndexedDB store for the favorites snapshot (post records collected by the content script)
+const SNAPSHOT_DB = {
+  NAME: 'grokImagineFavorites',
+  VERSION: 1,
+  STORE: 'snapshots',
+  KEY: 'favorites'
+};
+
+// Upscale requests waiting for their HD video (see trackUpscales)
+const UPSCALE_TRACKER = {
+  KEY: 'upscaleTracker',
+  ALARM: 'checkUpscales',
+  CHECK_PERIOD_MINUTES: 1,
+  MAX_WAIT_MS: 60 * 60 * 1000, // Give up on an upscale whose HD video hasn't appeared after an hour
+  KEEP_FINISHED_MS: 7 * 24 * 60 * 60 * 1000 // Ready and failed entries are kept a week for the popup counts
+};
+
+const UPSCALE_STATE = {
+  PENDING: 'pending',
+  READY: 'ready',
+  FAILED: 'failed'
+};
+
+// MIME types that mean the server answered with an error page instead of media
+const ERROR_PAGE_MIME_TYPES = ['text/html', 'text/plain', 'application/json', 'application/xml', 'text/xml'];
+
+const DEFAULT_SETTINGS = {
+  filenameTemplate: '{postId}{hd}.{ext}',
+  baseFolder: DOWNLOAD_CONFIG.FOLDER,
+  folderLayout: 'flat',
+  zipMaxSizeMB: 1024,
+  writeSidecars: false,
+  maxConcurrentDownloads: DOWNLOAD_CONFIG.MAX_CONCURRENT,
+  downloadPacingMs: DOWNLOAD_CONFIG.RATE_LIMIT_MS,
+  maxConcurrentUpscales: 3, // Upscale requests the content script keeps in flight at once
+  selectorOverrides: {} // SELECTORS key in content.js -> CSS selector tried before the built-in ones
+};
+
+const CONCURRENCY_LIMITS = { MIN: 1, MAX: 10 };
+const PACING_LIMITS_MS = { MIN: 0, MAX: 10000 };
+
+const ZIP_MAX_SIZE_LIMITS_MB = { MIN: 50, MAX: 4000 }; // ZIP archives without ZIP64 top out at 4 GB
+
+const FOLDER_LAYOUTS = ['flat', 'type', 'post', 'month'];
+
+const FILENAME_TOKENS = ['postId', 'videoId', 'type', 'hd', 'version', 'index', 'date', 'ext'];
+const MAX_FILENAME_LENGTH = 180;
+
+// Interrupt reasons that won't go away by trying again
+const PERMANENT_INTERRUPT_REASONS = new Set([
+  'FILE_ACCESS_DENIED',
+  'FILE_NO_SPACE',
+  'FILE_NAME_TOO_LONG',
+  'FILE_TOO_LARGE',
+  'FILE_VIRUS_INFECTED',
+  'FILE_BLOCKED',
+  'FILE_SECURITY_CHECK_FAILED',
+  'SERVER_BAD_CONTENT',
+  'SERVER_UNAUTHORIZED',
+  'SERVER_FORBIDDEN',
+  'USER_CANCELED'
+]);
+
+const ITEM_STATE = {
+  PENDING: 'pending',
+  IN_FLIGHT: 'in_flight',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  CANCELLED: 'cancelled'
+};
+
+// Serializes every read-modify-write of the persisted job so listeners can't clobber each other
+let jobLock = Promise.resolve();
+let pumping = false;
+let pumpRequested = false;
+let wakeTimer = null;
+
+// Same as jobLock, for the persisted upscale tracker
+let trackerLock = Promise.resolve();
+let checkingUpscales = false;
+
+// Generated-file downloads (archives, catalogs) awaiting completion, keyed by Chrome download ID
+const generatedFileWaiters = new Map();
+
 /**
  * Handles messages from content script
  */
@@ -22,10 +127,233 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       });
     return true; // Keep channel open for async response
   }
+
+  if (request.action === 'getSettings') {
+    getSettings()
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'saveSettings') {
+    saveSettings(request.settings)
+      .then(settings => sendResponse({ success: true, settings }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'planDownloads') {
+    planDownloads(request.media)
+      .then(plan => sendResponse({ success: true, ...plan }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.action === 'downloadGeneratedFile') {
+    downloadGeneratedFile(request)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Generated file download error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'filterNewMedia') {
+    filterNewMedia(request.media)
+      .then(media => sendResponse({ success: true, media }))
+      .catch(error => {
+        console.error('Ledger error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'listBackedUpPosts') {
+    listBackedUpPosts(request.posts)
+      .then(postIds => sendResponse({ success: true, postIds }))
+      .catch(error => {
+        console.error('Ledger error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'pauseDownloads' || request.action === 'resumeDownloads' || request.action === 'cancelDownloads') {
+    const handlers = {
+      pauseDownloads: pauseDownloadJob,
+      resumeDownloads: resumeDownloadJob,
+      cancelDownloads: cancelDownloadJob
+    };
+    handlers[request.action]()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Job control error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'getSnapshot' || request.action === 'getSnapshotInfo') {
+    readSnapshot()
+      .then(snapshot => {
+        if (request.action === 'getSnapshot' || !snapshot) {
+          sendResponse({ success: true, snapshot });
+          return;
+        }
+        // The popup only needs the summary, not thousands of records
+        sendResponse({ success: true, snapshot: { capturedAt: snapshot.capturedAt, source: snapshot.source, count: snapshot.records.length } });
+      })
+      .catch(error => {
+        console.error('Snapshot error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'saveSnapshot') {
+    writeSnapshot(request.snapshot)
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Snapshot error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'clearSnapshot') {
+    clearSnapshot()
+      .then(() => sendResponse({ success: true }))
+      .catch(error => {
+        console.error('Snapshot error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'removeFromSnapshot') {
+    removeFromSnapshot(request.postIds)
+      .then(count => sendResponse({ success: true, count }))
+      .catch(error => {
+        console.error('Snapshot error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'trackUpscales') {
+    trackUpscales(request.requests)
+      .then(counts => sendResponse({ success: true, counts }))
+      .catch(error => {
+        console.error('Upscale tracker error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'checkUpscales') {
+    checkUpscales()
+      .then(counts => sendResponse({ success: true, counts }))
+      .catch(error => {
+        console.error('Upscale tracker error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'clearFinishedJob') {
+    clearFinishedJob(request.jobId)
+      .then(cleared => sendResponse({ success: true, cleared }))
+      .catch(error => {
+        console.error('Job cleanup error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (request.action === 'retryFailed') {
+    retryFailedItems()
+      .then(count => sendResponse({ success: true, count }))
+      .catch(error => {
+        console.error('Retry error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
 });
 
 /**
- * Processes download queue with rate limiting
+ * Resume an unfinished job whenever the worker is started again
+ */
+chrome.runtime.onStartup.addListener(() => {
+  resumeJob().catch(error => console.error('Resuming download job failed:', error));
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === DOWNLOAD_CONFIG.RESUME_ALARM) {
+    resumeJob().catch(error => console.error('Resuming download job failed:', error));
+  } else if (alarm.name === UPSCALE_TRACKER.ALARM) {
+    checkUpscales().catch(error => console.error('Upscale check failed:', error));
+  }
+});
+
+resumeJob().catch(error => console.error('Resuming download job failed:', error));
+
+/**
+ * Runs a mutation against the persisted download job while holding the job lock.
+ * The mutator may modify the job in place; it is written back afterwards, unless
+ * it left the job unchanged, which spares storage listeners a copy of the whole job.
+ * @param {Function} mutator - Receives the job (or null) and returns a result
+ * @returns {Promise<*>} Whatever the mutator returned
+ */
+function updateJob(mutator) {
+  const run = jobLock.then(async () => {
+    const result = await chrome.storage.local.get([DOWNLOAD_CONFIG.JOB_KEY]);
+    const job = result[DOWNLOAD_CONFIG.JOB_KEY] || null;
+    const before = job ? JSON.stringify(job) : null;
+    const value = await mutator(job);
+    if (job && JSON.stringify(job) !== before) {
+      await chrome.storage.local.set({ [DOWNLOAD_CONFIG.JOB_KEY]: job });
+    }
+    return value;
+  });
+  jobLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Replaces the persisted download job while holding the job lock
+ * @param {Object} job - The new job
+ * @returns {Promise<void>}
+ */
+function replaceJob(job) {
+  const run = jobLock.then(() => chrome.storage.local.set({ [DOWNLOAD_CONFIG.JOB_KEY]: job }));
+  jobLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Removes a finished download job while holding the job lock. Nothing happens if
+ * another job has replaced it in the meantime or it is still running.
+ * @param {number} jobId - ID of the job the caller saw finish
+ * @returns {Promise<boolean>} True if the job was removed
+ */
+function clearFinishedJob(jobId) {
+  const run = jobLock.then(async () => {
+    const result = await chrome.storage.local.get([DOWNLOAD_CONFIG.JOB_KEY]);
+    const job = result[DOWNLOAD_CONFIG.JOB_KEY];
+    if (!job || job.id !== jobId || (job.status !== JOB_STATUS.COMPLETE && job.status !== JOB_STATUS.CANCELLED)) {
+      return false;
+    }
+    await chrome.storage.local.remove([DOWNLOAD_CONFIG.JOB_KEY, ...sidecarBodyKeys(job)]);
+    return true;
+  });
+  jobLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Queues media into the persistent download job and starts processing it
  * @param {Array} media - Array of media objects to download
  * @returns {Promise<void>}
  */
@@ -33,39 +361,1235 @@ async function handleDownloads(media) {
   if (!Array.isArray(media) || media.length === 0) {
     throw new Error('No media provided for download');
   }
-  
-  // Initialize download tracking
-  await chrome.storage.local.set({ 
-    totalDownloads: media.length,
-    downloadProgress: {}
+
+  const settings = await getSettings();
+
+  const appended = await updateJob(async job => {
+    // Append to an unfinished job instead of dropping its pending items
+    if (!job || (job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.PAUSED)) {
+      // The finished job is about to be replaced
+      if (job) await chrome.storage.local.remove(sidecarBodyKeys(job));
+      return false;
+    }
+
+    await appendToJob(job, media, settings);
+    return job.status;
+  });
+
+  if (appended === JOB_STATUS.PAUSED) {
+    // Starting new downloads implies the user wants the paused job going again
+    await resumeDownloadJob();
+    return;
+  }
+
+  if (!appended) {
+    await startNewJob(media, settings);
+  }
+
+  await chrome.alarms.create(DOWNLOAD_CONFIG.RESUME_ALARM, {
+    periodInMinutes: DOWNLOAD_CONFIG.RESUME_ALARM_PERIOD_MINUTES
+  });
+
+  pumpQueue();
+}
+
+/**
+ * Queues upscaled videos found by the tracker. Unlike handleDownloads this never
+ * resumes a paused job, and a finished job that still has failed or corrupt items
+ * is kept (and set running again) so its Retry Failed report survives. A new job
+ * is only started when there is no job or the finished one has nothing to retry.
+ * @param {Array} media - Array of media objects to download
+ * @returns {Promise<void>}
+ */
+async function queueTrackedDownloads(media) {
+  const settings = await getSettings();
+
+  const status = await updateJob(async job => {
+    if (!job) return null;
+
+    const active = job.status === JOB_STATUS.RUNNING || job.status === JOB_STATUS.PAUSED;
+    const retryable = job.items.some(entry =>
+      entry.state === ITEM_STATE.FAILED || (entry.state === ITEM_STATE.DONE && entry.integrityIssue)
+    );
+    if (!active && !retryable) {
+      // The finished job is about to be replaced
+      await chrome.storage.local.remove(sidecarBodyKeys(job));
+      return null;
+    }
+
+    const added = await appendToJob(job, media, settings);
+    if (added > 0 && !active) {
+      job.status = JOB_STATUS.RUNNING;
+      delete job.completedAt;
+    }
+    return job.status;
+  });
+
+  if (!status) {
+    await startNewJob(media, settings);
+  } else if (status !== JOB_STATUS.RUNNING) {
+    // A paused job picks the new items up when the user resumes it
+    return;
+  }
+
+  await chrome.alarms.create(DOWNLOAD_CONFIG.RESUME_ALARM, {
+    periodInMinutes: DOWNLOAD_CONFIG.RESUME_ALARM_PERIOD_MINUTES
+  });
+
+  pumpQueue();
+}
+
+/**
+ * Appends media to a job, skipping URLs the job already holds. Must be called
+ * from inside updateJob.
+ * @param {Object} job - Job being updated
+ * @param {Array} media - Array of media objects to add
+ * @param {Object} settings - Download settings
+ * @returns {Promise<number>} Number of items added
+ */
+async function appendToJob(job, media, settings) {
+  const known = new Set(job.items.map(item => item.url));
+  const usedNames = new Set(job.items.map(item => item.filename.toLowerCase()));
+  const fresh = media.filter(entry => !known.has(entry.url));
+  const entries = expandJobEntries(fresh, settings, usedNames);
+  await storeSidecarBodies(job.id, entries, job.items.length);
+  entries.forEach(entry => {
+    job.items.push(createJobItem(entry, job.items.length));
+  });
+  return entries.length;
+}
+
+/**
+ * Replaces the stored job with a new running job for the given media
+ * @param {Array} media - Array of media objects to download
+ * @param {Object} settings - Download settings
+ * @returns {Promise<void>}
+ */
+async function startNewJob(media, settings) {
+  const entries = expandJobEntries(media, settings, new Set());
+  const jobId = Date.now();
+  await storeSidecarBodies(jobId, entries, 0);
+  await replaceJob({
+    id: jobId,
+    status: JOB_STATUS.RUNNING,
+    createdAt: Date.now(),
+    interruptions: [],
+    backoffLevel: 0,
+    backoffUntil: 0,
+    items: entries.map((entry, index) => createJobItem(entry, index))
+  });
+}
+
+/**
+ * Resolves the download path of each media item and adds a JSON sidecar entry
+ * after every item that carries sidecar metadata
+ * @param {Array} media - Media items from content.js
+ * @param {Object} settings - Current settings
+ * @param {Set<string>} usedNames - Lowercased paths already taken (updated in place)
+ * @returns {Array} Entries ready for createJobItem
+ */
+function expandJobEntries(media, settings, usedNames) {
+  const entries = [];
+
+  media.forEach(entry => {
+    const filename = resolveDownloadPath(entry, settings, usedNames);
+    entries.push({ ...entry, filename });
+
+    if (entry.sidecar) {
+      const sidecar = { ...entry.sidecar, file: filename.split('/').pop() };
+      const sidecarName = claimUniqueName(`${filename}.json`, usedNames);
+      entries.push({
+        url: `sidecar:${sidecarName}`, // Placeholder; downloadFile builds the data URL from the stored body
+        filename: sidecarName,
+        postId: entry.postId,
+        videoId: entry.videoId,
+        type: 'sidecar',
+        body: JSON.stringify(sidecar, null, 2)
+      });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Returns the storage key holding the JSON of a sidecar item
+ * @param {number} jobId
+ * @param {number} itemId
+ * @returns {string}
+ */
+function sidecarBodyKey(jobId, itemId) {
+  return `${DOWNLOAD_CONFIG.SIDECAR_KEY_PREFIX}${jobId}:${itemId}`;
+}
+
+/**
+ * Lists the sidecar body keys of a job
+ * @param {Object} job
+ * @returns {Array<string>}
+ */
+function sidecarBodyKeys(job) {
+  return job.items.filter(item => item.type === 'sidecar').map(item => sidecarBodyKey(job.id, item.id));
+}
+
+/**
+ * Stores the JSON of the sidecar entries under their own keys, so the job only
+ * carries the item state
+ * @param {number} jobId - Job the entries are added to
+ * @param {Array} entries - Entries from expandJobEntries
+ * @param {number} firstItemId - Item ID the first entry will get
+ * @returns {Promise<void>}
+ */
+async function storeSidecarBodies(jobId, entries, firstItemId) {
+  const bodies = {};
+  entries.forEach((entry, offset) => {
+    if (entry.type === 'sidecar') {
+      bodies[sidecarBodyKey(jobId, firstItemId + offset)] = entry.body;
+    }
+  });
+  if (Object.keys(bodies).length > 0) {
+    await chrome.storage.local.set(bodies);
+  }
+}
+
+/**
+ * Creates the persisted record for a single queued download
+ * @param {Object} entry - Media item with url and filename
+ * @param {number} index - Position in the job
+ * @returns {Object} Job item
+ */
+function createJobItem(entry, index) {
+  return {
+    id: index,
+    url: entry.url,
+    filename: entry.filename,
+    key: entry.key || null,
+    postId: entry.postId || null,
+    videoId: entry.videoId || null,
+    type: entry.type || null,
+    isHD: !!entry.isHD,
+    state: ITEM_STATE.PENDING,
+    downloadId: null,
+    attempts: 0,
+    lastError: null,
+    integrityIssue: null,
+    nextAttemptAt: 0,
+    startedAt: null,
+    finishedAt: null
+  };
+}
+
+/**
+ * Reads the user's settings merged over the defaults
+ * @returns {Promise<Object>}
+ */
+async function getSettings() {
+  const result = await chrome.storage.local.get([DOWNLOAD_CONFIG.SETTINGS_KEY]);
+  return { ...DEFAULT_SETTINGS, ...(result[DOWNLOAD_CONFIG.SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Validates and stores updated settings
+ * @param {Object} changes - Settings to update
+ * @returns {Promise<Object>} The full settings after saving
+ */
+async function saveSettings(changes) {
+  const settings = { ...(await getSettings()), ...changes };
+
+  const template = String(settings.filenameTemplate || '').trim();
+  if (!template) {
+    throw new Error('Filename template cannot be empty');
+  }
+  if (/[\\/]/.test(template)) {
+    throw new Error('Filename template cannot contain folders');
+  }
+  const unknown = (template.match(/\{[^}]*\}/g) || [])
+    .map(token => token.slice(1, -1))
+    .filter(token => !FILENAME_TOKENS.includes(token));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown filename token: {${unknown[0]}}`);
+  }
+  settings.filenameTemplate = template;
+
+  const baseFolder = String(settings.baseFolder || '')
+    .split(/[\\/]+/)
+    .filter(segment => segment.replace(/[\s.]/g, '')) // Drops empty, "." and ".." segments
+    .map(segment => sanitizeFilename(segment))
+    .join('/');
+  if (!baseFolder) {
+    throw new Error('Download folder cannot be empty');
+  }
+  settings.baseFolder = baseFolder;
+
+  if (!FOLDER_LAYOUTS.includes(settings.folderLayout)) {
+    throw new Error(`Unknown folder layout: ${settings.folderLayout}`);
+  }
+
+  const zipMaxSizeMB = Number(settings.zipMaxSizeMB);
+  if (!Number.isFinite(zipMaxSizeMB) ||
+    zipMaxSizeMB < ZIP_MAX_SIZE_LIMITS_MB.MIN || zipMaxSizeMB > ZIP_MAX_SIZE_LIMITS_MB.MAX) {
+    throw new Error(`ZIP size limit must be between ${ZIP_MAX_SIZE_LIMITS_MB.MIN} and ${ZIP_MAX_SIZE_LIMITS_MB.MAX} MB`);
+  }
+  settings.zipMaxSizeMB = Math.round(zipMaxSizeMB);
+  settings.writeSidecars = !!settings.writeSidecars;
+
+  const maxConcurrent = Number(settings.maxConcurrentDownloads);
+  if (!Number.isInteger(maxConcurrent) || maxConcurrent < CONCURRENCY_LIMITS.MIN || maxConcurrent > CONCURRENCY_LIMITS.MAX) {
+    throw new Error(`Parallel downloads must be between ${CONCURRENCY_LIMITS.MIN} and ${CONCURRENCY_LIMITS.MAX}`);
+  }
+  settings.maxConcurrentDownloads = maxConcurrent;
+
+  const pacing = Number(settings.downloadPacingMs);
+  if (!Number.isFinite(pacing) || pacing < PACING_LIMITS_MS.MIN || pacing > PACING_LIMITS_MS.MAX) {
+    throw new Error(`Download pacing must be between ${PACING_LIMITS_MS.MIN} and ${PACING_LIMITS_MS.MAX} ms`);
+  }
+  settings.downloadPacingMs = Math.round(pacing);
+
+  const maxUpscales = Number(settings.maxConcurrentUpscales);
+  if (!Number.isInteger(maxUpscales) || maxUpscales < CONCURRENCY_LIMITS.MIN || maxUpscales > CONCURRENCY_LIMITS.MAX) {
+    throw new Error(`Parallel upscale requests must be between ${CONCURRENCY_LIMITS.MIN} and ${CONCURRENCY_LIMITS.MAX}`);
+  }
+  settings.maxConcurrentUpscales = maxUpscales;
+
+  const overrides = settings.selectorOverrides || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Selector overrides must map selector names to CSS selectors');
+  }
+  settings.selectorOverrides = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!/^[A-Z_]+$/.test(key)) {
+      throw new Error(`Unknown selector name: ${key}`);
+    }
+    if (typeof value !== 'string') {
+      throw new Error(`Selector override for ${key} must be a string`);
+    }
+    if (value.trim()) {
+      settings.selectorOverrides[key] = value.trim();
+    }
+  }
+
+  await chrome.storage.local.set({ [DOWNLOAD_CONFIG.SETTINGS_KEY]: settings });
+  return settings;
+}
+
+/**
+ * Resolves download paths for media without queueing them, for exports that
+ * package the files themselves
+ * @param {Array} media - Media items from content.js
+ * @returns {Promise<Object>} Items with their resolved filename, plus the settings used
+ */
+async function planDownloads(media) {
+  if (!Array.isArray(media) || media.length === 0) {
+    throw new Error('No media provided for download');
+  }
+
+  const settings = await getSettings();
+  const usedNames = new Set();
+  const items = media.map(entry => ({ ...entry, filename: resolveDownloadPath(entry, settings, usedNames) }));
+  return { items, settings };
+}
+
+/**
+ * Downloads a file generated by content.js (ZIP archive, catalog) from its blob URL
+ * and waits until Chrome finishes writing it. Media keys the file contains are
+ * recorded in the backup ledger on success.
+ * @param {Object} request - Blob URL, target filename and optional contained ledger keys
+ * @returns {Promise<void>}
+ */
+async function downloadGeneratedFile({ url, filename, keys }) {
+  if (!url || !filename) {
+    throw new Error('Invalid generated file download');
+  }
+
+  const downloadId = await chrome.downloads.download({ url, filename, saveAs: false });
+  await new Promise((resolve, reject) => {
+    generatedFileWaiters.set(downloadId, { resolve, reject });
+  });
+
+  if (Array.isArray(keys) && keys.length > 0) {
+    await updateJob(() => addToLedger(keys.map(key => ({ key, filename }))));
+  }
+}
+
+/**
+ * Returns the month a post was created in, from the createTime the listing API reports
+ * @param {Object} item - Media item
+ * @returns {string|null} YYYY-MM, or null if the creation time is unknown
+ */
+function postMonth(item) {
+  if (!item.createdAt) return null;
+  // createTime is an ISO string; accept epoch seconds or milliseconds as well
+  const value = typeof item.createdAt === 'number' && item.createdAt < 1e12 ? item.createdAt * 1000 : item.createdAt;
+  const created = new Date(value);
+  return Number.isNaN(created.getTime()) ? null : created.toISOString().slice(0, 7);
+}
+
+/**
+ * Builds the download path for a media item: base folder, layout subfolder and
+ * templated filename, made unique within the job
+ * @param {Object} item - Media item with url, default filename and metadata
+ * @param {Object} settings - Current settings
+ * @param {Set<string>} usedNames - Lowercased paths already taken (updated in place)
+ * @returns {string} Path relative to the Chrome downloads folder
+ */
+function resolveDownloadPath(item, settings, usedNames) {
+  const extMatch = (item.filename || '').match(/\.([a-zA-Z0-9]{1,5})$/);
+  const ext = extMatch ? extMatch[1] : (item.type === 'video' ? 'mp4' : 'png');
+  // Items without a post ID (unrecognized URL) keep the name content.js picked
+  const fallbackBase = (item.filename || 'media').replace(/\.[^.]+$/, '').replace(/-HD$/, '');
+  const date = new Date(item.capturedAt || Date.now()).toISOString().slice(0, 10);
+
+  let folder;
+  let name;
+  switch (settings.folderLayout) {
+    case 'type':
+      folder = item.type !== 'video' ? 'images' : (item.isHD ? 'videos-hd' : 'videos');
+      break;
+    case 'post':
+      // One folder per post with fixed names inside, so the template isn't used
+      folder = sanitizeFilename(item.postId || fallbackBase);
+      name = item.type !== 'video'
+        ? `image.${ext}`
+        : `${item.isHD ? 'video-hd' : 'video'}${Number.isInteger(item.version) ? `_v${item.version}` : ''}.${ext}`;
+      break;
+    case 'month':
+      folder = postMonth(item) || date.slice(0, 7);
+      break;
+    default:
+      folder = '';
+  }
+
+  if (!name) {
+    name = renderFilenameTemplate(item, settings.filenameTemplate, { ext, fallbackBase, date });
+  }
+
+  const path = [settings.baseFolder, folder, name].filter(Boolean).join('/');
+  return claimUniqueName(path, usedNames);
+}
+
+/**
+ * Renders the filename template for a media item and sanitizes the result
+ * @param {Object} item - Media item metadata
+ * @param {string} template - Filename template
+ * @param {Object} context - Extension, fallback base name and capture date
+ * @returns {string} Filename
+ */
+function renderFilenameTemplate(item, template, { ext, fallbackBase, date }) {
+  const values = {
+    postId: item.postId || fallbackBase,
+    videoId: item.videoId || '',
+    type: item.type || 'image',
+    hd: item.isHD ? '-HD' : '',
+    version: Number.isInteger(item.version) ? `_v${item.version}` : '',
+    index: Number.isInteger(item.index) ? String(item.index + 1).padStart(4, '0') : '',
+    date,
+    ext
+  };
+
+  // Video versions of one post must not share a name, so templates without
+  // {version} get the suffix in front of {hd} (or at the end of the name)
+  if (values.version && !template.includes('{version}')) {
+    template = template.includes('{hd}')
+      ? template.replace('{hd}', '{version}{hd}')
+      : template.replace(/(\.\{ext\})?$/, '{version}$1');
+  }
+
+  let name = template.replace(/\{(\w+)\}/g, (match, token) =>
+    Object.prototype.hasOwnProperty.call(values, token) ? values[token] : match
+  );
+  name = sanitizeFilename(name);
+  if (!/\.[a-zA-Z0-9]{1,5}$/.test(name)) {
+    name = `${name}.${ext}`;
+  }
+  return name;
+}
+
+/**
+ * Strips characters Chrome rejects in download filenames
+ * @param {string} name - Raw filename
+ * @returns {string} Safe filename
+ */
+function sanitizeFilename(name) {
+  let safe = name
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/_{2,}/g, '_')
+    .replace(/^[\s._-]+|[\s.]+$/g, '');
+
+  if (safe.length > MAX_FILENAME_LENGTH) {
+    const extMatch = safe.match(/(\.[a-zA-Z0-9]{1,5})$/);
+    const ext = extMatch ? extMatch[1] : '';
+    safe = safe.slice(0, MAX_FILENAME_LENGTH - ext.length) + ext;
+  }
+  return safe || 'media';
+}
+
+/**
+ * Appends _2, _3, ... before the extension until the path is unused
+ * @param {string} name - Candidate path
+ * @param {Set<string>} usedNames - Lowercased paths already taken (updated in place)
+ * @returns {string} Unique path
+ */
+function claimUniqueName(name, usedNames) {
+  let candidate = name;
+  let counter = 2;
+  while (usedNames.has(candidate.toLowerCase())) {
+    candidate = name.replace(/(\.[^.]+)?$/, `_${counter}$1`);
+    counter++;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+/**
+ * Removes media whose ledger key was already downloaded by a previous backup
+ * @param {Array} media - Media items with a ledger key
+ * @returns {Promise<Array>} Media not yet in the ledger
+ */
+async function filterNewMedia(media) {
+  if (!Array.isArray(media)) {
+    throw new Error('No media provided for filtering');
+  }
+
+  const result = await chrome.storage.local.get([DOWNLOAD_CONFIG.LEDGER_KEY]);
+  const ledger = result[DOWNLOAD_CONFIG.LEDGER_KEY] || {};
+  return media.filter(item => !item.key || !ledger[item.key]);
+}
+
+/**
+ * Finds the posts whose every asset is recorded in the backup ledger
+ * @param {Array} posts - { postId, keys } with the ledger keys of each post's assets
+ * @returns {Promise<Array<string>>} IDs of the fully backed-up posts
+ */
+async function listBackedUpPosts(posts) {
+  if (!Array.isArray(posts)) {
+    throw new Error('No posts provided');
+  }
+
+  const result = await chrome.storage.local.get([DOWNLOAD_CONFIG.LEDGER_KEY]);
+  const ledger = result[DOWNLOAD_CONFIG.LEDGER_KEY] || {};
+  return posts
+    .filter(post => post.keys.length > 0 && post.keys.every(key => ledger[key]))
+    .map(post => post.postId);
+}
+
+/**
+ * Records completed downloads in the backup ledger.
+ * Only call while holding the job lock so concurrent completions don't overwrite each other.
+ * @param {Array} entries - Completed job items
+ * @returns {Promise<void>}
+ */
+async function addToLedger(entries) {
+  const keyed = entries.filter(entry => entry.key);
+  if (keyed.length === 0) return;
+
+  const result = await chrome.storage.local.get([DOWNLOAD_CONFIG.LEDGER_KEY]);
+  const ledger = result[DOWNLOAD_CONFIG.LEDGER_KEY] || {};
+  keyed.forEach(entry => {
+    ledger[entry.key] = { filename: entry.filename, downloadedAt: Date.now() };
+  });
+  await chrome.storage.local.set({ [DOWNLOAD_CONFIG.LEDGER_KEY]: ledger });
+}
+
+/**
+ * Opens the snapshot database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openSnapshotDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(SNAPSHOT_DB.NAME, SNAPSHOT_DB.VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(SNAPSHOT_DB.STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs one request against the snapshot store and closes the database afterwards
+ * @param {string} mode - Transaction mode (readonly or readwrite)
+ * @param {Function} operation - Receives the object store and returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+async function withSnapshotStore(mode, operation) {
+  const db = await openSnapshotDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(SNAPSHOT_DB.STORE, mode);
+      const request = operation(transaction.objectStore(SNAPSHOT_DB.STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Loads the cached favorites snapshot
+ * @returns {Promise<Object|null>} { records, capturedAt, source } or null if nothing was collected yet
+ */
+async function readSnapshot() {
+  const snapshot = await withSnapshotStore('readonly', store => store.get(SNAPSHOT_DB.KEY));
+  return snapshot || null;
+}
+
+/**
+ * Replaces the cached favorites snapshot
+ * @param {Object} snapshot - { records, capturedAt, source }
+ * @returns {Promise<void>}
+ */
+async function writeSnapshot(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.records)) {
+    throw new Error('No snapshot records provided');
+  }
+
+  await withSnapshotStore('readwrite', store => store.put({
+    records: snapshot.records,
+    capturedAt: snapshot.capturedAt || Date.now(),
+    source: snapshot.source || null
+  }, SNAPSHOT_DB.KEY));
+}
+
+/**
+ * Drops posts that are no longer favorited from the snapshot
+ * @param {Array<string>} postIds - Post IDs to remove
+ * @returns {Promise<number>} Number of posts left in the snapshot
+ */
+async function removeFromSnapshot(postIds) {
+  const snapshot = await readSnapshot();
+  if (!snapshot) return 0;
+
+  const removed = new Set(postIds || []);
+  const records = snapshot.records
+    .filter(record => !removed.has(record.postId))
+    .map((record, index) => ({ ...record, index }));
+  await writeSnapshot({ ...snapshot, records });
+  return records.length;
+}
+
+/**
+ * Deletes the favorites snapshot, so the next operation collects all favorites again
+ * @returns {Promise<void>}
+ */
+async function clearSnapshot() {
+  await withSnapshotStore('readwrite', store => store.delete(SNAPSHOT_DB.KEY));
+}
+
+/**
+ * Runs a mutation against the persisted upscale tracker (video ID -> entry) while
+ * holding the tracker lock. The mutator modifies the tracker in place.
+ * @param {Function} mutator - Receives the tracker and returns a result
+ * @returns {Promise<*>} Whatever the mutator returned
+ */
+function updateUpscaleTracker(mutator) {
+  const run = trackerLock.then(async () => {
+    const result = await chrome.storage.local.get([UPSCALE_TRACKER.KEY]);
+    const tracker = result[UPSCALE_TRACKER.KEY] || {};
+    const value = await mutator(tracker);
+    await chrome.storage.local.set({ [UPSCALE_TRACKER.KEY]: tracker });
+    return value;
+  });
+  trackerLock = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Counts tracker entries per state
+ * @param {Object} tracker - Video ID -> entry
+ * @returns {Object} { pending, ready, failed }
+ */
+function countUpscales(tracker) {
+  const counts = { pending: 0, ready: 0, failed: 0 };
+  Object.values(tracker).forEach(entry => {
+    counts[entry.state]++;
+  });
+  return counts;
+}
+
+/**
+ * Records upscale requests sent by the content script. Accepted requests stay
+ * pending until checkUpscales finds their HD video; rejected ones are recorded
+ * as failed straight away.
+ * @param {Array} requests - { videoId, postId, hdUrl, download, accepted, error } per video;
+ *   download is the media item queued once the HD video exists
+ * @returns {Promise<Object>} Counts per state
+ */
+async function trackUpscales(requests) {
+  if (!Array.isArray(requests)) {
+    throw new Error('No upscale requests provided');
+  }
+
+  const now = Date.now();
+  const counts = await updateUpscaleTracker(tracker => {
+    // Drop finished entries nobody needs to see anymore
+    Object.keys(tracker).forEach(videoId => {
+      const entry = tracker[videoId];
+      if (entry.state !== UPSCALE_STATE.PENDING && now - entry.finishedAt > UPSCALE_TRACKER.KEEP_FINISHED_MS) {
+        delete tracker[videoId];
+      }
+    });
+
+    requests.forEach(request => {
+      tracker[request.videoId] = {
+        videoId: request.videoId,
+        postId: request.postId || null,
+        hdUrl: request.hdUrl,
+        download: request.download,
+        state: request.accepted ? UPSCALE_STATE.PENDING : UPSCALE_STATE.FAILED,
+        error: request.accepted ? null : (request.error || 'Upscale request rejected'),
+        requestedAt: now,
+        checkedAt: null,
+        checks: 0,
+        finishedAt: request.accepted ? null : now
+      };
+    });
+    return countUpscales(tracker);
+  });
+
+  if (counts.pending > 0) {
+    await chrome.alarms.create(UPSCALE_TRACKER.ALARM, {
+      delayInMinutes: UPSCALE_TRACKER.CHECK_PERIOD_MINUTES,
+      periodInMinutes: UPSCALE_TRACKER.CHECK_PERIOD_MINUTES
+    });
+  }
+  return counts;
+}
+
+/**
+ * Checks with a HEAD request whether an HD video exists yet
+ * @param {string} url - HD video URL
+ * @returns {Promise<boolean>}
+ */
+async function hdVideoExists(url) {
+  try {
+    const response = await fetch(url.split('?')[0], {
+      method: 'HEAD',
+      credentials: 'include'
+    });
+    return response.ok;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Looks for the HD video of every pending upscale. Videos that appeared are
+ * marked ready and queued for download under their paired -HD filename (unless
+ * the backup ledger already has them); upscales still missing after
+ * UPSCALE_TRACKER.MAX_WAIT_MS are marked failed. Runs from the tracker alarm,
+ * which is cleared once nothing is pending.
+ * @returns {Promise<Object>} Counts per state
+ */
+async function checkUpscales() {
+  const result = await chrome.storage.local.get([UPSCALE_TRACKER.KEY]);
+  const pending = Object.values(result[UPSCALE_TRACKER.KEY] || {})
+    .filter(entry => entry.state === UPSCALE_STATE.PENDING);
+
+  if (checkingUpscales) {
+    return countUpscales(result[UPSCALE_TRACKER.KEY] || {});
+  }
+  checkingUpscales = true;
+
+  try {
+    const found = new Set();
+    for (const entry of pending) {
+      if (await hdVideoExists(entry.hdUrl)) {
+        found.add(entry.videoId);
+      }
+    }
+
+    const now = Date.now();
+    const ready = [];
+    const counts = await updateUpscaleTracker(tracker => {
+      pending.forEach(({ videoId }) => {
+        const entry = tracker[videoId];
+        if (!entry || entry.state !== UPSCALE_STATE.PENDING) return;
+
+        entry.checks++;
+        entry.checkedAt = now;
+        if (found.has(videoId)) {
+          entry.state = UPSCALE_STATE.READY;
+          entry.finishedAt = now;
+          ready.push(entry.download);
+        } else if (now - entry.requestedAt > UPSCALE_TRACKER.MAX_WAIT_MS) {
+          entry.state = UPSCALE_STATE.FAILED;
+          entry.error = `HD video did not appear within ${UPSCALE_TRACKER.MAX_WAIT_MS / 60000} minutes`;
+          entry.finishedAt = now;
+        }
+      });
+      return countUpscales(tracker);
+    });
+
+    if (ready.length > 0) {
+      const media = await filterNewMedia(ready);
+      console.log(`${ready.length} upscaled videos are ready, downloading ${media.length} not already backed up`);
+      if (media.length > 0) {
+        await queueTrackedDownloads(media);
+      }
+    }
+
+    if (counts.pending === 0) {
+      await chrome.alarms.clear(UPSCALE_TRACKER.ALARM);
+    }
+    return counts;
+  } finally {
+    checkingUpscales = false;
+  }
+}
+
+/**
+ * Fills free download slots from the pending items. At most
+ * `maxConcurrentDownloads` items are in flight; the next one starts when a
+ * completion or interruption frees a slot and calls this again. Items waiting
+ * out a retry backoff, or a queue-wide backoff after clustered interruptions,
+ * are picked up once their delay has passed.
+ * Safe to call repeatedly; only one pump runs per worker.
+ * @returns {Promise<void>}
+ */
+async function pumpQueue() {
+  if (pumping) {
+    pumpRequested = true;
+    return;
+  }
+  pumping = true;
+
+  try {
+    do {
+      pumpRequested = false;
+      const settings = await getSettings();
+      let waitMs = 0;
+
+      while (true) {
+        const next = await updateJob(job => {
+          if (!job || job.status !== JOB_STATUS.RUNNING) return null;
+          const now = Date.now();
+          if (job.backoffUntil > now) {
+            return { item: null, waitMs: job.backoffUntil - now };
+          }
+
+          const inFlight = job.items.filter(entry => entry.state === ITEM_STATE.IN_FLIGHT).length;
+          if (inFlight >= settings.maxConcurrentDownloads) {
+            return { item: null, waitMs: 0 }; // A finishing download pumps again
+          }
+
+          const pending = job.items.filter(entry => entry.state === ITEM_STATE.PENDING);
+          const ready = pending.find(entry => entry.nextAttemptAt <= now);
+          if (!ready) {
+            const earliest = Math.min(...pending.map(entry => entry.nextAttemptAt));
+            return { item: null, waitMs: pending.length > 0 ? earliest - now : 0 };
+          }
+          ready.state = ITEM_STATE.IN_FLIGHT;
+          ready.attempts++;
+          ready.startedAt = now;
+          return { item: { ...ready }, jobId: job.id, waitMs: 0 };
+        });
+
+        if (!next || !next.item) {
+          waitMs = next ? next.waitMs : 0;
+          break;
+        }
+
+        await downloadFile(next.item, next.jobId);
+        if (settings.downloadPacingMs > 0) {
+          await new Promise(resolve => setTimeout(resolve, settings.downloadPacingMs));
+        }
+      }
+
+      if (waitMs > 0) {
+        scheduleWakeUp(waitMs);
+      }
+      await completeJobIfSettled();
+    } while (pumpRequested);
+  } catch (error) {
+    // Callers fire and forget; the resume alarm pumps again later
+    console.error('Download queue error:', error);
+  } finally {
+    pumping = false;
+  }
+}
+
+/**
+ * Wakes the pump once the earliest retry or queue backoff expires
+ * @param {number} waitMs - Delay until work is due
+ */
+function scheduleWakeUp(waitMs) {
+  clearTimeout(wakeTimer);
+  wakeTimer = setTimeout(() => {
+    wakeTimer = null;
+    pumpQueue();
+  }, waitMs);
+}
+
+/**
+ * Records an interrupted attempt and either queues a retry with exponential
+ * backoff or marks the item failed for good. Interruptions that cluster
+ * together also pause the whole queue for a growing backoff.
+ * @param {Object} job - Job owning the item (mutated in place)
+ * @param {Object} entry - Job item (mutated in place)
+ * @param {string} reason - Chrome InterruptReason
+ */
+function applyInterruption(job, entry, reason) {
+  entry.lastError = reason || 'UNKNOWN';
+  entry.downloadId = null;
+
+  if (entry.lastError !== 'USER_CANCELED') {
+    recordInterruption(job);
+  }
+
+  const retryable = !PERMANENT_INTERRUPT_REASONS.has(entry.lastError);
+  if (retryable && entry.attempts <= DOWNLOAD_CONFIG.MAX_RETRIES) {
+    const delay = DOWNLOAD_CONFIG.RETRY_BASE_DELAY_MS * Math.pow(2, entry.attempts - 1);
+    entry.state = ITEM_STATE.PENDING;
+    entry.nextAttemptAt = Date.now() + delay;
+    console.log(`Retrying ${entry.filename} in ${delay}ms (${entry.lastError}, attempt ${entry.attempts})`);
+  } else {
+    entry.state = ITEM_STATE.FAILED;
+    entry.finishedAt = Date.now();
+    console.warn(`Giving up on ${entry.filename}: ${entry.lastError}`);
+  }
+}
+
+/**
+ * Tracks recent interruptions and starts a queue-wide backoff when they cluster,
+ * which usually means the server is throttling or the connection dropped
+ * @param {Object} job - Download job (mutated in place)
+ */
+function recordInterruption(job) {
+  const now = Date.now();
+  job.interruptions = (job.interruptions || [])
+    .filter(time => now - time < DOWNLOAD_CONFIG.INTERRUPT_CLUSTER_WINDOW_MS)
+    .concat(now);
+
+  if (job.interruptions.length >= DOWNLOAD_CONFIG.INTERRUPT_CLUSTER_SIZE) {
+    const delay = Math.min(
+      DOWNLOAD_CONFIG.CLUSTER_BACKOFF_MAX_MS,
+      DOWNLOAD_CONFIG.CLUSTER_BACKOFF_BASE_MS * Math.pow(2, job.backoffLevel || 0)
+    );
+    job.backoffLevel = (job.backoffLevel || 0) + 1;
+    job.backoffUntil = now + delay;
+    job.interruptions = [];
+    console.warn(`Interruptions are clustering, pausing new downloads for ${delay}ms`);
+  }
+}
+
+/**
+ * Stops scheduling new items and pauses the downloads already in flight.
+ * The paused state is persisted, so the job stays paused across worker restarts.
+ * @returns {Promise<void>}
+ */
+async function pauseDownloadJob() {
+  const downloadIds = await updateJob(job => {
+    if (!job || job.status !== JOB_STATUS.RUNNING) {
+      throw new Error('No running download job to pause');
+    }
+    job.status = JOB_STATUS.PAUSED;
+    return job.items
+      .filter(entry => entry.state === ITEM_STATE.IN_FLIGHT && entry.downloadId !== null)
+      .map(entry => entry.downloadId);
+  });
+
+  await Promise.all(downloadIds.map(id =>
+    chrome.downloads.pause(id).catch(error => console.warn(`Could not pause download ${id}:`, error.message))
+  ));
+  await chrome.alarms.clear(DOWNLOAD_CONFIG.RESUME_ALARM);
+}
+
+/**
+ * Resumes a paused job: paused downloads continue and scheduling starts again
+ * @returns {Promise<void>}
+ */
+async function resumeDownloadJob() {
+  const downloadIds = await updateJob(job => {
+    if (!job || job.status !== JOB_STATUS.PAUSED) {
+      throw new Error('No paused download job to resume');
+    }
+    job.status = JOB_STATUS.RUNNING;
+    job.backoffUntil = 0;
+    return job.items
+      .filter(entry => entry.state === ITEM_STATE.IN_FLIGHT && entry.downloadId !== null)
+      .map(entry => entry.downloadId);
+  });
+
+  // Downloads interrupted while paused (e.g. by a browser restart) are sorted out by reconciling
+  await Promise.all(downloadIds.map(id =>
+    chrome.downloads.resume(id).catch(error => console.warn(`Could not resume download ${id}:`, error.message))
+  ));
+  await chrome.alarms.create(DOWNLOAD_CONFIG.RESUME_ALARM, {
+    periodInMinutes: DOWNLOAD_CONFIG.RESUME_ALARM_PERIOD_MINUTES
   });
-  
-  // Queue downloads with rate limiting
-  media.forEach((item, index) => {
-    setTimeout(() => {
-      downloadFile(item);
-    }, index * DOWNLOAD_CONFIG.RATE_LIMIT_MS);
+  await reconcileInFlightItems();
+  pumpQueue();
+}
+
+/**
+ * Cancels the job: pending items are dropped and in-flight downloads cancelled
+ * @returns {Promise<void>}
+ */
+async function cancelDownloadJob() {
+  const downloadIds = await updateJob(job => {
+    if (!job || (job.status !== JOB_STATUS.RUNNING && job.status !== JOB_STATUS.PAUSED)) {
+      throw new Error('No active download job to cancel');
+    }
+
+    const ids = [];
+    job.items.forEach(entry => {
+      if (entry.state !== ITEM_STATE.PENDING && entry.state !== ITEM_STATE.IN_FLIGHT) return;
+      if (entry.state === ITEM_STATE.IN_FLIGHT && entry.downloadId !== null) {
+        ids.push(entry.downloadId);
+      }
+      entry.state = ITEM_STATE.CANCELLED;
+      entry.finishedAt = Date.now();
+    });
+    job.status = JOB_STATUS.CANCELLED;
+    job.completedAt = Date.now();
+    return ids;
   });
+
+  await Promise.all(downloadIds.map(id =>
+    chrome.downloads.cancel(id).catch(error => console.warn(`Could not cancel download ${id}:`, error.message))
+  ));
+  await chrome.alarms.clear(DOWNLOAD_CONFIG.RESUME_ALARM);
+}
+
+/**
+ * Marks an item done after checking the file Chrome saved. Items whose file
+ * looks wrong stay done but carry an integrityIssue and are not added to the ledger.
+ * @param {Object} entry - Job item (mutated in place)
+ * @param {Object|undefined} download - Chrome DownloadItem for the entry
+ * @returns {boolean} True if the file passed verification
+ */
+function markDownloadComplete(entry, download) {
+  entry.state = ITEM_STATE.DONE;
+  entry.lastError = null;
+  entry.finishedAt = Date.now();
+  entry.integrityIssue = inspectDownload(entry, download);
+
+  if (entry.integrityIssue) {
+    console.warn(`Suspicious download ${entry.filename}: ${entry.integrityIssue}`);
+  }
+  return !entry.integrityIssue;
 }
 
 /**
- * Downloads a single file
- * @param {Object} item - Media item with url and filename
+ * Checks a completed download for signs that Chrome saved an error page or
+ * an incomplete file instead of the media
+ * @param {Object} entry - Job item
+ * @param {Object|undefined} download - Chrome DownloadItem
+ * @returns {string|null} Description of the problem, or null if the file looks fine
  */
-function downloadFile(item) {
-  if (!item.url || !item.filename) {
+function inspectDownload(entry, download) {
+  if (!download) return 'Download record not found';
+  if (download.exists === false) return 'File is missing';
+
+  const size = download.fileSize > 0 ? download.fileSize : download.bytesReceived;
+  if (!size) return 'File is empty';
+  if (download.totalBytes > 0 && size < download.totalBytes) {
+    return `File is truncated (${size} of ${download.totalBytes} bytes)`;
+  }
+
+  // Sidecars are small JSON files by design
+  if (entry.type === 'sidecar') return null;
+
+  const mime = (download.mime || '').split(';')[0].trim().toLowerCase();
+  if (ERROR_PAGE_MIME_TYPES.includes(mime)) return `Unexpected file type ${mime}`;
+  if (entry.type === 'video' && mime.startsWith('image/')) return `Unexpected file type ${mime}`;
+  if (entry.type === 'image' && mime.startsWith('video/')) return `Unexpected file type ${mime}`;
+  if (size < DOWNLOAD_CONFIG.MIN_MEDIA_BYTES) return `File is too small (${size} bytes)`;
+
+  return null;
+}
+
+/**
+ * Re-queues every failed or suspicious item of the current job with a fresh
+ * retry budget. Suspicious files are deleted first so the new copy keeps its name.
+ * @returns {Promise<number>} Number of items re-queued
+ */
+async function retryFailedItems() {
+  const suspectIds = [];
+  const count = await updateJob(job => {
+    if (!job) return 0;
+    const failed = job.items.filter(entry =>
+      entry.state === ITEM_STATE.FAILED || (entry.state === ITEM_STATE.DONE && entry.integrityIssue)
+    );
+    failed.forEach(entry => {
+      if (entry.state === ITEM_STATE.DONE && entry.downloadId !== null) {
+        suspectIds.push(entry.downloadId);
+      }
+      entry.state = ITEM_STATE.PENDING;
+      entry.downloadId = null;
+      entry.integrityIssue = null;
+      entry.attempts = 0;
+      entry.nextAttemptAt = 0;
+      entry.finishedAt = null;
+    });
+    // A paused job keeps its re-queued items until it is resumed
+    if (failed.length > 0 && job.status !== JOB_STATUS.PAUSED) {
+      job.status = JOB_STATUS.RUNNING;
+    }
+    return failed.length;
+  });
+
+  await Promise.all(suspectIds.map(id =>
+    chrome.downloads.removeFile(id).catch(error => console.warn(`Could not remove file of download ${id}:`, error.message))
+  ));
+
+  if (count > 0) {
+    await chrome.alarms.create(DOWNLOAD_CONFIG.RESUME_ALARM, {
+      periodInMinutes: DOWNLOAD_CONFIG.RESUME_ALARM_PERIOD_MINUTES
+    });
+    pumpQueue();
+  }
+  return count;
+}
+
+/**
+ * Downloads a single file and links the Chrome download ID to its job item
+ * @param {Object} item - Job item with url and filename
+ * @param {number} jobId - ID of the job the item belongs to
+ * @returns {Promise<void>}
+ */
+async function downloadFile(item, jobId) {
+  let url = item.url;
+  if (item.type === 'sidecar') {
+    const key = sidecarBodyKey(jobId, item.id);
+    const stored = await chrome.storage.local.get([key]);
+    url = stored[key] ? `data:application/json;charset=utf-8,${encodeURIComponent(stored[key])}` : null;
+  }
+
+  if (!url || !item.filename) {
     console.error('Invalid download item:', item);
+    await updateJob(job => {
+      const entry = job && job.items[item.id];
+      if (!entry) return;
+      entry.state = ITEM_STATE.FAILED;
+      entry.lastError = 'INVALID_ITEM';
+      entry.finishedAt = Date.now();
+    });
+    return;
+  }
+
+  try {
+    const downloadId = await chrome.downloads.download({
+      url,
+      filename: item.filename,
+      saveAs: false
+    });
+
+    // The job may have been paused or cancelled while Chrome was starting the download
+    const outcome = await updateJob(job => {
+      const entry = job && job.id === jobId && job.items[item.id];
+      if (!entry || entry.state !== ITEM_STATE.IN_FLIGHT) return 'cancel';
+      entry.downloadId = downloadId;
+      return job.status === JOB_STATUS.PAUSED ? 'pause' : 'keep';
+    });
+    if (outcome === 'cancel') {
+      await chrome.downloads.cancel(downloadId).catch(error => console.warn(`Could not cancel download ${downloadId}:`, error.message));
+    } else if (outcome === 'pause') {
+      await chrome.downloads.pause(downloadId).catch(error => console.warn(`Could not pause download ${downloadId}:`, error.message));
+    }
+  } catch (error) {
+    console.error('Download failed:', error);
+    await updateJob(job => {
+      const entry = job && job.items[item.id];
+      if (entry && entry.state === ITEM_STATE.IN_FLIGHT) {
+        applyInterruption(job, entry, error.message);
+      }
+    });
+  }
+}
+
+/**
+ * Marks the job complete once no item is pending or in flight
+ * @returns {Promise<void>}
+ */
+async function completeJobIfSettled() {
+  const settled = await updateJob(job => {
+    if (!job || job.status !== JOB_STATUS.RUNNING) return true;
+    const busy = job.items.some(entry =>
+      entry.state === ITEM_STATE.PENDING || entry.state === ITEM_STATE.IN_FLIGHT
+    );
+    if (!busy) {
+      job.status = JOB_STATUS.COMPLETE;
+      job.completedAt = Date.now();
+    }
+    return !busy;
+  });
+
+  if (settled) {
+    await chrome.alarms.clear(DOWNLOAD_CONFIG.RESUME_ALARM);
+  }
+}
+
+/**
+ * Picks up a running job after the worker restarts. In-flight items are checked
+ * against Chrome's download history since their completion events may have been missed.
+ * @returns {Promise<void>}
+ */
+async function resumeJob() {
+  const result = await chrome.storage.local.get([DOWNLOAD_CONFIG.JOB_KEY]);
+  const job = result[DOWNLOAD_CONFIG.JOB_KEY];
+  if (!job || job.status !== JOB_STATUS.RUNNING) {
+    await chrome.alarms.clear(DOWNLOAD_CONFIG.RESUME_ALARM);
     return;
   }
-  
-  chrome.downloads.download({ 
-    url: item.url, 
-    filename: `${DOWNLOAD_CONFIG.FOLDER}/${item.filename}`,
-    saveAs: false
-  }, (downloadId) => {
-    if (chrome.runtime.lastError) {
-      console.error('Download failed:', chrome.runtime.lastError);
+
+  await reconcileInFlightItems();
+  pumpQueue();
+}
+
+/**
+ * Syncs in-flight items with the state Chrome reports for their downloads
+ * @returns {Promise<void>}
+ */
+function reconcileInFlightItems() {
+  return updateJob(async job => {
+    if (!job) return;
+    const completed = [];
+
+    for (const entry of job.items) {
+      if (entry.state !== ITEM_STATE.IN_FLIGHT) continue;
+
+      // Worker stopped before the download ID came back - look the download up by URL
+      if (entry.downloadId === null) {
+        // Sidecars were started from a data URL that isn't kept, so match them by filename
+        const match = entry.type === 'sidecar'
+          ? { filenameRegex: `${entry.filename.split('/').pop().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$` }
+          : { url: entry.url };
+        const matches = await chrome.downloads.search({
+          ...match,
+          startedAfter: new Date(entry.startedAt - 1000).toISOString()
+        });
+        if (matches.length === 0) {
+          entry.state = ITEM_STATE.PENDING;
+          entry.attempts = Math.max(0, entry.attempts - 1);
+          continue;
+        }
+        entry.downloadId = matches[0].id;
+      }
+
+      const [download] = await chrome.downloads.search({ id: entry.downloadId });
+      if (!download) {
+        entry.state = ITEM_STATE.PENDING;
+        entry.downloadId = null;
+        entry.attempts = Math.max(0, entry.attempts - 1);
+      } else if (download.state === 'complete') {
+        if (markDownloadComplete(entry, download)) {
+          completed.push(entry);
+        }
+      } else if (download.state === 'interrupted') {
+        if (download.canResume) {
+          chrome.downloads.resume(download.id).catch(error => {
+            console.error('Failed to resume download:', error);
+          });
+        } else {
+          applyInterruption(job, entry, download.error);
+        }
+      }
     }
+
+    await addToLedger(completed);
   });
 }
 
@@ -74,16 +1598,37 @@ function downloadFile(item) {
  */
 chrome.downloads.onChanged.addListener((delta) => {
   if (!delta.state) return;
-  
-  chrome.storage.local.get(['downloadProgress'], (result) => {
-    const progress = result.downloadProgress || {};
-    
-    if (delta.state.current === 'complete') {
-      progress[delta.id] = 'complete';
-    } else if (delta.state.current === 'interrupted') {
-      progress[delta.id] = 'failed';
-    }
-    
-    chrome.storage.local.set({ downloadProgress: progress });
-  });
+
+  const current = delta.state.current;
+  if (current !== 'complete' && current !== 'interrupted') return;
+
+  const waiter = generatedFileWaiters.get(delta.id);
+  if (waiter) {
+    generatedFileWaiters.delete(delta.id);
+    if (current === 'complete') {
+      waiter.resolve();
+    } else {
+      waiter.reject(new Error(`Download failed: ${delta.error ? delta.error.current : 'UNKNOWN'}`));
+    }
+    return;
+  }
+
+  updateJob(async job => {
+    const entry = job && job.items.find(item => item.downloadId === delta.id);
+    // Cancelled items still hold their download ID; their USER_CANCELED event is expected
+    if (!entry || entry.state !== ITEM_STATE.IN_FLIGHT) return false;
+
+    if (current === 'complete') {
+      job.backoffLevel = 0; // Downloads are getting through again
+      const [download] = await chrome.downloads.search({ id: delta.id });
+      if (markDownloadComplete(entry, download)) {
+        await addToLedger([entry]);
+      }
+    } else {
+      applyInterruption(job, entry, delta.error ? delta.error.current : null);
+    }
+    return true;
+  }).then(matched => {
+    if (matched) pumpQueue();
+  }).catch(error => console.error(`Failed to record the result of download ${delta.id}:`, error));
 });
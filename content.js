@@ -4,15 +4,38 @@
  */
 
 // Constants
+// Each entry lists selector strategies in order of preference; the first one that
+// matches anything on the page is used. Overrides from settings are tried first.
 const SELECTORS = {
-  CARD: '[role="listitem"] .relative.group\\/media-post-masonry-card',
-  IMAGE: 'img[alt*="Generated"]',
-  VIDEO: 'video[src*="generated_video"]',
-  VIDEO_INDICATOR: 'svg[data-icon="play"]', // Play button overlay indicates video
-  UNSAVE_BUTTON: 'button[aria-label="Unsave"]',
-  LIST_ITEM: '[role="listitem"]'
+  CARD: [
+    '[role="listitem"] .relative.group\\/media-post-masonry-card',
+    '[role="listitem"] [class*="media-post-masonry-card"]',
+    '[role="listitem"]'
+  ],
+  IMAGE: [
+    'img[alt*="Generated"]',
+    'img[src*="imagine-public.x.ai"]',
+    'img[src*="assets.grok.com"]'
+  ],
+  VIDEO: [
+    'video[src*="generated_video"]',
+    'video[src*="assets.grok.com"]'
+  ],
+  VIDEO_INDICATOR: [
+    'svg[data-icon="play"]', // Play button overlay indicates video
+    'svg[class*="play"]'
+  ],
+  UNSAVE_BUTTON: [
+    'button[aria-label="Unsave"]',
+    'button[aria-label*="Unsave" i]'
+  ],
+  LIST_ITEM: ['[role="listitem"]']
 };
 
+// Selector overrides from settings, and the strategy picked per SELECTORS key
+let selectorOverrides = {};
+let resolvedSelectors = {};
+
 const URL_PATTERNS = {
   IMAGE: ['imagine-public.x.ai', 'grok.com']
 };
@@ -22,66 +45,350 @@ const TIMING = {
   UNFAVORITE_DELAY: 150, // Reduced since we're using API calls
   POST_LOAD_DELAY: 1000,
   POST_UNFAVORITE_DELAY: 1000,
+  POST_DETAILS_DELAY: 100, // Between post detail lookups for sidecar files
+  LIST_PAGE_DELAY: 200, // Between favorites listing pages
+  DOM_SETTLE_MS: 300, // The list counts as settled after this long without mutations
+  DOM_SETTLE_MAX_MS: 3000, // Upper bound for one settle wait, for lists that never stop mutating
+  END_OF_LIST_IDLE_MS: 5000, // No new cards or list growth this long at the bottom means the list is complete
   UPSCALE_TIMEOUT: 30000 // 30 seconds for upscale processing
 };
 
+// Unfavorite actions: which posts each one removes
+const UNFAVORITE_MODES = {
+  unsaveAll: { title: 'Unfavoriting All Items', label: 'favorites' },
+  unsaveImageOnly: { title: 'Unfavoriting Image-Only Posts', label: 'image-only posts' },
+  unsaveWithVideo: { title: 'Unfavoriting Posts With Video', label: 'posts with a video' },
+  unsaveBackedUp: { title: 'Unfavoriting Backed-Up Posts', label: 'posts already backed up' }
+};
+
+// Persistent record of unfavorited posts, so a batch can be favorited again
+const JOURNAL = {
+  KEY: 'unfavoriteJournal',
+  MAX_BATCHES: 10
+};
+
+// Outcome of each video in an upscale run; the last run is kept for export
+const UPSCALE_RESULT = {
+  ACCEPTED: 'accepted',
+  REJECTED: 'rejected', // The endpoint answered with a client error
+  ALREADY_HD: 'already_hd',
+  ERROR: 'error', // Network errors, timeouts and server errors that persisted after retries
+  CANCELLED: 'cancelled'
+};
+const UPSCALE_RUN_KEY = 'lastUpscaleRun';
+
 const API = {
+  LIKE_ENDPOINT: 'https://grok.com/rest/media/post/like',
   UNLIKE_ENDPOINT: 'https://grok.com/rest/media/post/unlike',
-  UPSCALE_ENDPOINT: 'https://grok.com/rest/media/video/upscale'
+  UPSCALE_ENDPOINT: 'https://grok.com/rest/media/video/upscale',
+  POST_GET_ENDPOINT: 'https://grok.com/rest/media/post/get',
+  POST_LIST_ENDPOINT: 'https://grok.com/rest/media/post/list',
+  POST_LIST_PAGE_SIZE: 40
+};
+
+// Retry and backoff behaviour of apiRequest
+const API_RETRY = {
+  MAX_RETRIES: 3,
+  BASE_DELAY_MS: 1000, // Doubles after every failed attempt
+  MAX_DELAY_MS: 60000,
+  REQUEST_TIMEOUT: 30000
 };
 
 /**
- * Makes an API call to unlike/unfavorite a post
- * @param {string} postId - The post ID to unlike
- * @returns {Promise<boolean>} - True if successful
+ * Lists the selector strategies for a SELECTORS key, the settings override first
+ * @param {string} key - SELECTORS key
+ * @returns {Array<{selector: string, source: string}>}
+ */
+function selectorCandidates(key) {
+  const candidates = SELECTORS[key].map(candidate => ({ selector: candidate, source: 'default' }));
+  if (selectorOverrides[key]) {
+    candidates.unshift({ selector: selectorOverrides[key], source: 'override' });
+  }
+  return candidates;
+}
+
+/**
+ * Counts the elements a selector matches on the page
+ * @param {string} candidate - CSS selector
+ * @returns {number} Match count, or -1 if the selector is not valid CSS
  */
-async function unlikePost(postId) {
+function countSelectorMatches(candidate) {
   try {
-    const response = await fetch(API.UNLIKE_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': '*/*',
-      },
-      credentials: 'include',
-      body: JSON.stringify({ id: postId })
-    });
+    return document.querySelectorAll(candidate).length;
+  } catch (e) {
+    return -1;
+  }
+}
 
-    return response.ok;
+/**
+ * Returns the selector to use for a SELECTORS key: the first strategy that matches
+ * anything on the page, or the first valid one if none match yet. A matching
+ * strategy is remembered until the overrides are reloaded.
+ * @param {string} key - SELECTORS key
+ * @returns {string} CSS selector
+ */
+function selector(key) {
+  if (resolvedSelectors[key]) {
+    return resolvedSelectors[key];
+  }
+
+  const candidates = selectorCandidates(key);
+  let firstValid = null;
+  for (const { selector: candidate, source } of candidates) {
+    const matches = countSelectorMatches(candidate);
+    if (matches < 0) {
+      console.warn(`Ignoring invalid ${source} selector for ${key}: ${candidate}`);
+      continue;
+    }
+    firstValid = firstValid || candidate;
+    if (matches > 0) {
+      if (candidate !== candidates[0].selector) {
+        console.warn(`Selector ${key}: "${candidates[0].selector}" matches nothing, using fallback "${candidate}"`);
+      }
+      resolvedSelectors[key] = candidate;
+      return candidate;
+    }
+  }
+
+  // Nothing matches yet (e.g. the list has not rendered) - don't remember the choice
+  return firstValid || SELECTORS[key][0];
+}
+
+/**
+ * Loads selector overrides from settings and forgets previously picked strategies
+ * @returns {Promise<void>}
+ */
+async function loadSelectorOverrides() {
+  resolvedSelectors = {};
+  try {
+    const { settings } = await sendRuntimeMessage({ action: 'getSettings' });
+    selectorOverrides = settings.selectorOverrides || {};
   } catch (error) {
-    console.error(`Failed to unlike post ${postId}:`, error);
-    return false;
+    console.error('Failed to load selector overrides:', error);
+    selectorOverrides = {};
+  }
+}
+
+/**
+ * Reports how every selector strategy matches on the current page
+ * @returns {Array<Object>} One entry per SELECTORS key with its strategies and match counts
+ */
+function runSelectorDiagnostics() {
+  return Object.keys(SELECTORS).map(key => {
+    const candidates = selectorCandidates(key).map(({ selector: candidate, source }) => ({
+      selector: candidate,
+      source,
+      matches: countSelectorMatches(candidate)
+    }));
+    const active = candidates.findIndex(candidate => candidate.matches > 0);
+    return { key, candidates, active };
+  });
+}
+
+// Extra pause before every API request, raised by 429s and lowered again by successes
+let apiThrottleMs = 0;
+
+/**
+ * Creates the error that stops a run when Grok no longer accepts the session
+ * @param {number} status - HTTP status (401 or 403)
+ * @returns {Error}
+ */
+function sessionExpiredError(status) {
+  const error = new Error(`Session expired, please log in to grok.com again and retry (HTTP ${status}).`);
+  error.sessionExpired = true;
+  error.status = status;
+  return error;
+}
+
+/**
+ * Reads a Retry-After header (seconds or HTTP date)
+ * @param {Response} response
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function parseRetryAfter(response) {
+  const value = response.headers.get('Retry-After');
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Sends a JSON POST to one of the API endpoints with the page's session cookies.
+ * Rate limits (429) and transient failures (5xx, network errors, timeouts) are
+ * retried with exponential backoff, honouring Retry-After; a 429 also slows down
+ * every following request until calls succeed again. A 401/403 throws a
+ * session-expired error that ends the run. Other failures are returned with
+ * their status code so callers can report them.
+ * @param {string} url - Endpoint from API
+ * @param {Object} body - JSON request body
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {AbortSignal} options.signal - Aborts the request and any backoff wait
+ * @returns {Promise<Object>} { ok, status, data, error, cancelled } - status is 0 for network errors and timeouts
+ */
+async function apiRequest(url, body, { timeoutMs = API_RETRY.REQUEST_TIMEOUT, signal = null } = {}) {
+  let lastStatus = 0;
+  let lastError = null;
+  const cancelledResult = () => ({ ok: false, status: lastStatus, data: null, error: 'cancelled', cancelled: true });
+
+  for (let attempt = 0; attempt <= API_RETRY.MAX_RETRIES; attempt++) {
+    if (apiThrottleMs > 0 && !(await abortableDelay(apiThrottleMs, signal))) {
+      return cancelledResult();
+    }
+    if (signal && signal.aborted) {
+      return cancelledResult();
+    }
+
+    let retryAfterMs = null;
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': '*/*',
+        },
+        credentials: 'include',
+        body: JSON.stringify(body),
+        signal: controller.signal
+      });
+
+      if (response.ok) {
+        apiThrottleMs = apiThrottleMs < 100 ? 0 : Math.floor(apiThrottleMs / 2);
+        let data = null;
+        try {
+          data = await response.json();
+        } catch (e) {
+          // Some endpoints answer with an empty body
+        }
+        return { ok: true, status: response.status, data, error: null, cancelled: false };
+      }
+
+      if (response.status === 401 || response.status === 403) {
+        throw sessionExpiredError(response.status);
+      }
+
+      lastStatus = response.status;
+      lastError = `HTTP ${response.status}`;
+      if (response.status !== 429 && response.status < 500) {
+        // Other client errors won't change on retry
+        return { ok: false, status: response.status, data: null, error: lastError, cancelled: false };
+      }
+
+      if (response.status === 429) {
+        apiThrottleMs = Math.min(API_RETRY.MAX_DELAY_MS, Math.max(500, apiThrottleMs * 2));
+        console.warn(`Rate limited by ${url}, slowing down to one request every ${apiThrottleMs}ms`);
+      }
+      retryAfterMs = parseRetryAfter(response);
+    } catch (error) {
+      if (error.sessionExpired) throw error;
+      if (signal && signal.aborted) return cancelledResult();
+      lastStatus = 0;
+      lastError = error.name === 'AbortError' ? 'timeout' : `network error: ${error.message}`;
+    } finally {
+      clearTimeout(timeoutId);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+
+    if (attempt < API_RETRY.MAX_RETRIES) {
+      const delay = Math.min(API_RETRY.MAX_DELAY_MS, retryAfterMs !== null ? retryAfterMs : API_RETRY.BASE_DELAY_MS * Math.pow(2, attempt));
+      console.log(`${url} failed (${lastError}), retrying in ${delay}ms (${attempt + 1}/${API_RETRY.MAX_RETRIES})`);
+      if (!(await abortableDelay(delay, signal))) {
+        return cancelledResult();
+      }
+    }
   }
+
+  return { ok: false, status: lastStatus, data: null, error: lastError, cancelled: false };
+}
+
+/**
+ * Waits for a delay unless the signal aborts first
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal
+ * @returns {Promise<boolean>} False if the wait was aborted
+ */
+function abortableDelay(ms, signal) {
+  return new Promise(resolve => {
+    if (signal && signal.aborted) {
+      resolve(false);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      resolve(false);
+    };
+    const timeoutId = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve(true);
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Describes the failures of a run, grouped by status code
+ * @param {Array<Object>} failures - Failed results with a status and error
+ * @returns {string} e.g. "HTTP 404: 2, timeout: 1"
+ */
+function summarizeFailures(failures) {
+  const counts = new Map();
+  failures.forEach(({ status, error }) => {
+    const label = status ? `HTTP ${status}` : (error && error.startsWith('timeout') ? 'timeout' : 'network error');
+    counts.set(label, (counts.get(label) || 0) + 1);
+  });
+  return Array.from(counts.entries()).map(([label, count]) => `${label}: ${count}`).join(', ');
+}
+
+/**
+ * Makes an API call to unlike/unfavorite a post
+ * @param {string} postId - The post ID to unlike
+ * @returns {Promise<Object>} - Result from apiRequest
+ */
+function unlikePost(postId) {
+  return apiRequest(API.UNLIKE_ENDPOINT, { id: postId });
+}
+
+/**
+ * Makes an API call to like/favorite a post again
+ * @param {string} postId - The post ID to like
+ * @returns {Promise<Object>} - Result from apiRequest
+ */
+function likePost(postId) {
+  return apiRequest(API.LIKE_ENDPOINT, { id: postId });
 }
 
 /**
  * Attempts to upscale a video by its video ID
  * @param {string} videoId - The video ID to upscale
- * @returns {Promise<boolean>} - True if upscale request was accepted
+ * @param {AbortSignal} signal - Optional signal that cancels the request
+ * @returns {Promise<Object>} - Result from apiRequest; ok if the upscale request was accepted
  */
-async function upscaleVideo(videoId) {
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), TIMING.UPSCALE_TIMEOUT);
-
-    const response = await fetch(API.UPSCALE_ENDPOINT, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': '*/*',
-      },
-      credentials: 'include',
-      body: JSON.stringify({ videoId }),
-      signal: controller.signal
-    });
+function upscaleVideo(videoId, signal = null) {
+  return apiRequest(API.UPSCALE_ENDPOINT, { videoId }, { timeoutMs: TIMING.UPSCALE_TIMEOUT, signal });
+}
 
-    clearTimeout(timeoutId);
-    return response.ok;
-  } catch (error) {
-    // Silently fail as requested - upscale may not be available for all videos
-    console.log(`Upscale attempt for ${videoId} did not succeed:`, error.message);
-    return false;
+/**
+ * Fetches the full post data (prompt, timestamps, child videos) for a post
+ * @param {string} postId - The post ID to look up
+ * @returns {Promise<Object|null>} - The post object or null if unavailable
+ */
+async function fetchPostDetails(postId) {
+  const result = await apiRequest(API.POST_GET_ENDPOINT, { id: postId });
+  if (!result.ok) {
+    console.error(`Failed to fetch details for post ${postId}: ${result.error}`);
+    return null;
   }
+  const data = result.data;
+  return (data && (data.post || data.mediaPost)) || data || null;
 }
 
 /**
@@ -99,6 +406,159 @@ function extractVideoId(videoUrl) {
   }
 }
 
+// ZIP format limits without ZIP64 extensions
+const ZIP_LIMITS = {
+  MAX_BYTES: 0xFFFFFFFF,
+  MAX_ENTRIES: 0xFFFF
+};
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 checksum used by ZIP entries
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Creates an uncompressed (STORE) ZIP archive that is assembled as a Blob.
+ * Media files are already compressed, so storing them keeps the export fast.
+ * @returns {Object} Archive with addFile(), size, entryCount and toBlob()
+ */
+function createZipArchive() {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  /**
+   * Converts a Date into DOS time and date fields
+   */
+  const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  });
+
+  return {
+    get size() {
+      return offset;
+    },
+
+    get entryCount() {
+      return centralDirectory.length;
+    },
+
+    /**
+     * Bytes a file of the given size and path will add, including headers
+     */
+    sizeWith(path, byteLength) {
+      const nameLength = encoder.encode(path).length;
+      return offset + byteLength + (30 + nameLength) + (46 + nameLength);
+    },
+
+    /**
+     * Appends a file to the archive
+     * @param {string} path - Path inside the archive
+     * @param {Blob} blob - File contents
+     * @param {Uint8Array} bytes - The same contents as bytes, used for the checksum
+     * @param {Date} modified - Modification time stored in the entry
+     */
+    addFile(path, blob, bytes, modified = new Date()) {
+      const name = encoder.encode(path);
+      const checksum = crc32(bytes);
+      const { time, date } = toDosDateTime(modified);
+
+      const header = new DataView(new ArrayBuffer(30));
+      header.setUint32(0, 0x04034b50, true); // Local file header signature
+      header.setUint16(4, 20, true); // Version needed to extract
+      header.setUint16(6, 0x0800, true); // UTF-8 filenames
+      header.setUint16(8, 0, true); // STORE
+      header.setUint16(10, time, true);
+      header.setUint16(12, date, true);
+      header.setUint32(14, checksum, true);
+      header.setUint32(18, bytes.length, true);
+      header.setUint32(22, bytes.length, true);
+      header.setUint16(26, name.length, true);
+      header.setUint16(28, 0, true);
+
+      const entry = new DataView(new ArrayBuffer(46));
+      entry.setUint32(0, 0x02014b50, true); // Central directory header signature
+      entry.setUint16(4, 20, true); // Version made by
+      entry.setUint16(6, 20, true);
+      entry.setUint16(8, 0x0800, true);
+      entry.setUint16(10, 0, true);
+      entry.setUint16(12, time, true);
+      entry.setUint16(14, date, true);
+      entry.setUint32(16, checksum, true);
+      entry.setUint32(20, bytes.length, true);
+      entry.setUint32(24, bytes.length, true);
+      entry.setUint16(28, name.length, true);
+      entry.setUint32(42, offset, true); // Offset of the local header
+
+      parts.push(header.buffer, name, blob);
+      centralDirectory.push(entry.buffer, name);
+      offset += 30 + name.length + bytes.length;
+      return checksum;
+    },
+
+    /**
+     * Writes the central directory and returns the finished archive
+     * @returns {Blob}
+     */
+    toBlob() {
+      const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+      const entries = centralDirectory.length / 2;
+
+      const end = new DataView(new ArrayBuffer(22));
+      end.setUint32(0, 0x06054b50, true); // End of central directory signature
+      end.setUint16(8, entries, true);
+      end.setUint16(10, entries, true);
+      end.setUint32(12, directorySize, true);
+      end.setUint32(16, offset, true);
+
+      return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+    }
+  };
+}
+
+/**
+ * Fetches a media file with the page's cookies, retrying without credentials for
+ * public hosts that reject credentialed CORS requests
+ * @param {string} url - Media URL
+ * @returns {Promise<Blob>}
+ */
+async function fetchMediaBlob(url) {
+  let response;
+  try {
+    response = await fetch(url, { credentials: 'include' });
+  } catch (error) {
+    response = await fetch(url, { credentials: 'omit' });
+  }
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.blob();
+}
+
 /**
  * Progress modal manager
  */
@@ -265,6 +725,202 @@ const ProgressModal = {
   }
 };
 
+// Storage keys for the selected post IDs and the filter rules; shared with the popup
+const SELECTION_KEY = 'selectedPostIds';
+const FILTER_KEY = 'operationFilter';
+
+/**
+ * Selection mode: overlays a checkbox on every favorites card. Selected posts are
+ * kept by post ID in chrome.storage.local, so they stay selected when the virtual
+ * list unmounts their cards, and every action is limited to them.
+ */
+const SelectionMode = {
+  active: false,
+  selected: new Set(),
+  anchorId: null,
+  toolbar: null,
+  observer: null,
+  decorateScheduled: false,
+
+  async enable() {
+    if (this.active) return;
+    this.active = true;
+
+    const result = await chrome.storage.local.get([SELECTION_KEY]);
+    this.selected = new Set(result[SELECTION_KEY] || []);
+    this.createToolbar();
+    this.decorateAll();
+
+    // Cards mount and unmount while scrolling; decorate new ones as they appear
+    this.observer = new MutationObserver(() => this.scheduleDecorate());
+    this.observer.observe(document.body, { childList: true, subtree: true });
+    this.refresh();
+  },
+
+  disable() {
+    if (!this.active) return;
+    this.active = false;
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    document.querySelectorAll('.grok-favorites-select-box').forEach(box => box.remove());
+    if (this.toolbar) {
+      this.toolbar.remove();
+      this.toolbar = null;
+    }
+  },
+
+  toggle() {
+    return this.active ? this.disable() : this.enable();
+  },
+
+  createToolbar() {
+    this.toolbar = document.createElement('div');
+    this.toolbar.id = 'grok-favorites-selection-toolbar';
+    this.toolbar.innerHTML = `
+      <div style="
+        position: fixed;
+        bottom: 24px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 999998;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 10px 14px;
+        background: #1a1a1a;
+        border: 1px solid #2a2a2a;
+        border-radius: 12px;
+        box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+        font-size: 13px;
+        color: #e5e5e5;
+      ">
+        <span id="grok-selection-count" style="min-width: 90px;">0 selected</span>
+        <button data-selection-action="selectVisible">Select all visible</button>
+        <button data-selection-action="clear">Clear</button>
+        <button data-selection-action="done">Done</button>
+      </div>
+    `;
+    this.toolbar.querySelectorAll('button').forEach(button => {
+      button.style.cssText = 'padding: 6px 10px; background: #2a2a2a; border: 1px solid #3a3a3a; border-radius: 8px; color: #e5e5e5; font-size: 12px; cursor: pointer; font-family: inherit;';
+    });
+    this.toolbar.addEventListener('click', (event) => {
+      const action = event.target.dataset && event.target.dataset.selectionAction;
+      if (action === 'selectVisible') this.selectAllVisible();
+      if (action === 'clear') this.clear();
+      if (action === 'done') this.disable();
+    });
+    document.body.appendChild(this.toolbar);
+  },
+
+  scheduleDecorate() {
+    if (this.decorateScheduled) return;
+    this.decorateScheduled = true;
+    requestAnimationFrame(() => {
+      this.decorateScheduled = false;
+      if (this.active) this.decorateAll();
+    });
+  },
+
+  decorateAll() {
+    document.querySelectorAll(selector('CARD')).forEach(card => this.decorate(card));
+  },
+
+  decorate(card) {
+    const postId = getCardPostId(card);
+    if (!postId) return;
+
+    let box = card.querySelector(':scope > .grok-favorites-select-box');
+    if (!box) {
+      if (window.getComputedStyle(card).position === 'static') {
+        card.style.position = 'relative';
+      }
+      box = document.createElement('label');
+      box.className = 'grok-favorites-select-box';
+      box.style.cssText = 'position: absolute; top: 8px; left: 8px; z-index: 10; display: flex; padding: 6px; background: rgba(0, 0, 0, 0.6); border-radius: 6px; cursor: pointer;';
+      box.innerHTML = '<input type="checkbox" style="width: 18px; height: 18px; cursor: pointer; margin: 0;" />';
+      box.addEventListener('click', (event) => {
+        // Keep the click from opening the post underneath
+        event.preventDefault();
+        event.stopPropagation();
+        this.handleClick(box.dataset.postId, event.shiftKey);
+      });
+      card.appendChild(box);
+    }
+
+    // Virtual scrolling may reuse a card element for another post
+    box.dataset.postId = postId;
+    box.querySelector('input').checked = this.selected.has(postId);
+  },
+
+  handleClick(postId, shiftKey) {
+    const selecting = !this.selected.has(postId);
+    let postIds = [postId];
+
+    // Shift-click applies the same state to every mounted card between the anchor and this one
+    if (shiftKey && this.anchorId && this.anchorId !== postId) {
+      const mounted = this.mountedPostIds();
+      const from = mounted.indexOf(this.anchorId);
+      const to = mounted.indexOf(postId);
+      if (from >= 0 && to >= 0) {
+        postIds = mounted.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
+    }
+
+    postIds.forEach(id => (selecting ? this.selected.add(id) : this.selected.delete(id)));
+    this.anchorId = postId;
+    this.save();
+  },
+
+  mountedPostIds() {
+    return Array.from(document.querySelectorAll(selector('CARD')))
+      .map(card => getCardPostId(card))
+      .filter(Boolean);
+  },
+
+  selectAllVisible() {
+    document.querySelectorAll(selector('CARD')).forEach(card => {
+      const rect = card.getBoundingClientRect();
+      const visible = rect.bottom > 0 && rect.top < window.innerHeight && rect.width > 0;
+      const postId = visible ? getCardPostId(card) : null;
+      if (postId) {
+        this.selected.add(postId);
+      }
+    });
+    this.save();
+  },
+
+  clear() {
+    this.selected.clear();
+    this.anchorId = null;
+    this.save();
+  },
+
+  save() {
+    chrome.storage.local.set({ [SELECTION_KEY]: Array.from(this.selected) });
+    this.refresh();
+  },
+
+  refresh() {
+    document.querySelectorAll('.grok-favorites-select-box').forEach(box => {
+      box.querySelector('input').checked = this.selected.has(box.dataset.postId);
+    });
+    const count = document.getElementById('grok-selection-count');
+    if (count) {
+      count.textContent = `${this.selected.size} selected`;
+    }
+  }
+};
+
+// Keep the overlay in sync when the popup clears the selection
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'local' || !changes[SELECTION_KEY] || !SelectionMode.active) return;
+  SelectionMode.selected = new Set(changes[SELECTION_KEY].newValue || []);
+  SelectionMode.refresh();
+});
+
 /**
  * Message listener for actions from popup
  */
@@ -277,6 +933,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  if (action === 'runDiagnostics') {
+    loadSelectorOverrides().then(() => {
+      const report = runSelectorDiagnostics();
+      console.table(report.map(({ key, candidates, active }) => ({
+        key,
+        selector: active >= 0 ? candidates[active].selector : '(no match)',
+        matches: active >= 0 ? candidates[active].matches : 0
+      })));
+      sendResponse({ success: true, report });
+    });
+    return true;
+  }
+
+  if (action === 'toggleSelection') {
+    loadSelectorOverrides()
+      .then(() => SelectionMode.toggle())
+      .then(() => sendResponse({ success: true, active: SelectionMode.active }));
+    return true;
+  }
+
   if (action === 'cancelOperation') {
     ProgressModal.cancel();
     chrome.storage.local.set({ activeOperation: false });
@@ -288,13 +964,26 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     try {
       // Mark operation as active
       chrome.storage.local.set({ activeOperation: true });
+      await loadSelectorOverrides();
 
       if (action === 'upscaleVideos') {
         await handleUpscale();
+      } else if (action === 'exportUpscaleResults') {
+        await handleExportUpscaleResults();
+      } else if (action === 'exportZip') {
+        await handleExportZip();
+      } else if (action === 'exportCatalogJson' || action === 'exportCatalogCsv') {
+        await handleExportCatalog(action === 'exportCatalogCsv' ? 'csv' : 'json');
       } else if (action.startsWith('save')) {
         await handleSave(action);
-      } else if (action === 'unsaveAll') {
-        await handleUnsaveAll();
+      } else if (UNFAVORITE_MODES[action]) {
+        await handleUnsave(action);
+      } else if (action === 'archive') {
+        await handleArchive();
+      } else if (action === 'restoreLastBatch') {
+        await handleRestoreLastBatch();
+      } else if (action === 'rescanFavorites') {
+        await handleRescan();
       }
     } catch (error) {
       console.error('Error handling action:', error);
@@ -388,6 +1077,27 @@ function extractPostId(imgSrc) {
   }
 }
 
+/**
+ * Extracts the post ID from a full-size image URL (post ID = image UUID).
+ * URL patterns:
+ *   - https://assets.grok.com/users/{userId}/{postId}/content
+ *   - https://assets.grok.com/users/{userId}/generated/{postId}/preview_image.jpg
+ *   - https://imagine-public.x.ai/imagine-public/images/{postId}.png
+ * @param {string} url - The image URL
+ * @returns {string|null}
+ */
+function extractPostIdFromImageUrl(url) {
+  // Pattern 1 & 2: UUID before /content or /preview_image.jpg
+  let match = url.match(/\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\/(content|preview_image\.jpg)/i);
+  if (match && match[1]) {
+    return match[1];
+  }
+
+  // Pattern 3: UUID in /images/{uuid}.png
+  match = url.match(/\/images\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.(png|jpg|jpeg)/i);
+  return match && match[1] ? match[1] : null;
+}
+
 /**
  * Extracts the base filename without extension from a URL
  * @param {string} url - The image URL
@@ -430,7 +1140,17 @@ async function checkVideoExistsHTTP(url) {
  * @param {string} url - The video URL to check
  * @returns {Promise<boolean>}
  */
-function checkVideoExists(url) {
+async function checkVideoExists(url) {
+  return (await probeVideo(url)) === 'exists';
+}
+
+/**
+ * Loads a video's metadata to find out whether it exists. Unlike checkVideoExists,
+ * a check that timed out is reported as unknown rather than missing.
+ * @param {string} url - The video URL to check
+ * @returns {Promise<string>} 'exists', 'missing' or 'unknown'
+ */
+function probeVideo(url) {
   return new Promise((resolve) => {
     const video = document.createElement('video');
     video.preload = 'metadata';
@@ -446,19 +1166,19 @@ function checkVideoExists(url) {
 
     const timeout = setTimeout(() => {
       cleanup();
-      resolve(false);
+      resolve('unknown');
     }, 3000); // 3 second timeout
 
     video.onloadedmetadata = () => {
       clearTimeout(timeout);
       cleanup();
-      resolve(true);
+      resolve('exists');
     };
 
     video.onerror = () => {
       clearTimeout(timeout);
       cleanup();
-      resolve(false);
+      resolve('missing');
     };
 
     video.src = url;
@@ -466,14 +1186,10 @@ function checkVideoExists(url) {
 }
 
 /**
- * Scrolls and collects all post IDs from the page
- * @param {Function} filterFn - Function to filter items (receives hasVideo, hasImage)
- * @returns {Promise<Array<string>>} Array of post IDs
+ * Finds the element that scrolls the favorites list (the tallest scrollable candidate)
+ * @returns {Element}
  */
-async function scrollAndCollectPostIds(filterFn) {
-  console.log('Starting scroll to collect post IDs...');
-
-  // Find the scrollable container
+function findScrollContainer() {
   let scrollContainer = document.documentElement;
   const possibleContainers = [
     document.querySelector('main'),
@@ -493,433 +1209,868 @@ async function scrollAndCollectPostIds(filterFn) {
     console.log('Found custom scroll container:', scrollContainer);
   }
 
-  // First, collect ALL item data while scrolling (don't filter yet)
-  const allItemsData = new Map(); // Map of postId -> { hasVideo, hasImage }
-  let unchangedItemCount = 0;
-  let previousItemCount = 0;
-  const maxUnchangedAttempts = 10; // More attempts for large collections with virtual scrolling
-
-  // Scroll to top first to ensure we capture everything
-  console.log('Scrolling to top before collection...');
-  scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  return scrollContainer;
+}
 
-  // Get total scroll height for progress calculation
-  let totalScrollHeight = scrollContainer.scrollHeight;
-  console.log(`Initial scroll height: ${totalScrollHeight}`);
+/**
+ * Builds a post record from the post's image and video source URLs
+ * @param {string|null} imageSrc - Image source URL
+ * @param {string|null} videoSrc - Video source URL
+ * @param {string|null} postId - Post ID when known, otherwise derived from the image URL
+ * @returns {Object|null} Partial post record, or null if there is no usable media
+ */
+function buildPostRecord(imageSrc, videoSrc, postId = null) {
+  const record = {
+    postId,
+    imageUrl: null,
+    imageFilename: null,
+    videoUrl: null,
+    videoSrc: null,
+    videoId: null,
+    videoFilename: null,
+    hdUrl: null,
+    hasVideo: false,
+    createdAt: null // Post creation time; only known when listed through the API
+  };
+  let imageName = null;
+
+  // Extract image
+  if (imageSrc) {
+    const url = imageSrc.split('?')[0].replace(/\/cdn-cgi\/image\/[^\/]*\//, '/');
+
+    if (isValidUrl(url, URL_PATTERNS.IMAGE)) {
+      record.imageUrl = url;
+      record.imageFilename = determineFilename(url, null, false);
+      record.postId = record.postId || extractPostIdFromImageUrl(url);
+      imageName = extractBaseName(url);
+    }
+  }
 
-  // Get viewport height for relative scrolling
-  const viewportHeight = window.innerHeight;
-  const scrollIncrement = Math.floor(viewportHeight * 0.4); // Scroll by 40% of viewport
-  console.log(`Viewport height: ${viewportHeight}px, Scroll increment: ${scrollIncrement}px`);
+  // Extract video
+  if (videoSrc) {
+    const url = videoSrc.split('?')[0];
+    const uuidRe = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-  // Track if we've reached the actual bottom
-  let reachedBottom = false;
-  let bottomReachCount = 0;
-  const maxBottomAttempts = 5;
+    record.videoUrl = url;
+    record.videoSrc = videoSrc;
+    record.hasVideo = true;
+    record.videoId = extractVideoId(url);
+    record.videoFilename = (imageName && uuidRe.test(imageName)) ? `${imageName}.mp4` : determineFilename(url, imageName || null, true);
 
-  while (!reachedBottom || unchangedItemCount < maxUnchangedAttempts) {
-    // Check for cancellation
-    if (ProgressModal.isCancelled()) {
-      console.log('Collection cancelled by user');
-      throw new Error('Operation cancelled by user');
+    // Potential HD version - whether it exists is checked by the consumers that need it
+    if (url.includes('generated_video.mp4')) {
+      record.hdUrl = videoSrc.replace('generated_video.mp4', 'generated_video_hd.mp4');
     }
+  }
 
-    // Collect ALL items and their metadata (video/image presence)
-    const cards = document.querySelectorAll(SELECTORS.CARD);
-    let videosInBatch = 0;
-    let imagesInBatch = 0;
+  return record.imageUrl || record.videoUrl ? record : null;
+}
 
-    cards.forEach((card) => {
-      // Extract post ID from image (every post has an image)
-      let postId = null;
-      const img = card.querySelector(SELECTORS.IMAGE);
-      if (img && img.src) {
-        const match = img.src.match(/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i);
-        if (match && match[1]) {
-          postId = match[1];
-        }
-      }
+/**
+ * Reads everything the crawler needs from one masonry card
+ * @param {Element} card - Card element
+ * @returns {Object|null} Partial post record, or null if the card has no usable media
+ */
+function readCard(card) {
+  const img = card.querySelector(selector('IMAGE'));
+  const video = card.querySelector(selector('VIDEO'));
+  const record = buildPostRecord(img ? img.src : null, video ? video.src : null);
+
+  // The video element may not be loaded yet, but the play overlay already shows there is one
+  if (record && !record.hasVideo && card.querySelector(selector('VIDEO_INDICATOR'))) {
+    record.hasVideo = true;
+  }
+  return record;
+}
 
-      // Check if this post has a video by looking for video element with matching UUID
-      let hasVideo = false;
-      const video = card.querySelector(SELECTORS.VIDEO);
-      if (video && video.src && postId) {
-        const videoMatch = video.src.match(/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})/i);
-        if (videoMatch && videoMatch[1] === postId) {
-          hasVideo = true;
-          videosInBatch++;
-        }
-      }
+/**
+ * Checks whether a post or child post from the REST API is a video
+ * @param {Object} entry - Post object
+ * @returns {boolean}
+ */
+function isVideoEntry(entry) {
+  return !!entry && typeof entry.mediaUrl === 'string' &&
+    (String(entry.mediaType || '').includes('VIDEO') || entry.mediaUrl.includes('generated_video'));
+}
 
-      const hasImage = !!img;
+/**
+ * Lists every video generated for a post, oldest first
+ * @param {Object} post - Post object from the REST API
+ * @returns {Array<Object>} Video child posts (or the post itself if it is a video)
+ */
+function listVideoVersions(post) {
+  const videos = (post.childPosts || post.videos || []).filter(isVideoEntry);
+  if (isVideoEntry(post)) {
+    videos.push(post);
+  }
+  return videos.sort((a, b) => String(a.createTime || '').localeCompare(String(b.createTime || '')));
+}
 
-      if (hasImage) imagesInBatch++;
+/**
+ * Returns the post ID shown by a card, used to key the selection
+ * @param {Element} card - Card element
+ * @returns {string|null}
+ */
+function getCardPostId(card) {
+  const record = readCard(card);
+  if (record && record.postId) {
+    return record.postId;
+  }
+  const img = card.querySelector(selector('IMAGE'));
+  return img && img.src ? extractPostId(img.src) : null;
+}
 
-      // Store the item data - track if we've EVER seen a video for this post
-      if (postId) {
-        const existing = allItemsData.get(postId);
-        if (existing) {
-          // If we've seen this post before, keep video=true if either occurrence had a video
-          allItemsData.set(postId, {
-            hasVideo: existing.hasVideo || hasVideo,
-            hasImage: existing.hasImage || hasImage
-          });
-          if (hasVideo && !existing.hasVideo) {
-            console.log(`Post ${postId.substring(0, 8)}... NOW detected as having video`);
-          }
-        } else {
-          allItemsData.set(postId, { hasVideo, hasImage });
-        }
-      }
-    });
+/**
+ * Converts one post from the favorites listing API into a post record. Like the
+ * card, the record carries the most recently generated video of the post.
+ * @param {Object} post - Post object from the listing response
+ * @returns {Object|null} Partial post record, or null if the post has no usable media
+ */
+function postToRecord(post) {
+  if (!post || typeof post.id !== 'string') return null;
 
-    const currentItemCount = allItemsData.size;
-    const currentScrollTop = scrollContainer.scrollTop;
-    const currentScrollHeight = scrollContainer.scrollHeight;
-    const maxScrollTop = currentScrollHeight - scrollContainer.clientHeight;
-    
-    console.log(`Cards in DOM: ${cards.length}, Videos in view: ${videosInBatch}, Images in view: ${imagesInBatch}, Total collected: ${currentItemCount}, ScrollTop: ${currentScrollTop}/${maxScrollTop}`);
-
-    // Log a sample of what we're detecting
-    if (allItemsData.size <= 10) {
-      console.log('Sample of detected items:', Array.from(allItemsData.entries()).slice(0, 5).map(([id, data]) => ({
-        id: id.substring(0, 8) + '...',
-        hasVideo: data.hasVideo,
-        hasImage: data.hasImage
-      })));
+  const videos = listVideoVersions(post);
+  const latestVideo = videos.length > 0 ? videos[videos.length - 1] : null;
+
+  const imageSrc = !isVideoEntry(post) ? (post.mediaUrl || post.imageUrl || null) : (post.thumbnailImageUrl || null);
+  const record = buildPostRecord(imageSrc, latestVideo ? latestVideo.mediaUrl : null, post.id);
+  if (record && latestVideo && latestVideo.id && !record.videoId) {
+    record.videoId = latestVideo.id;
+  }
+  if (record) {
+    record.createdAt = post.createTime || null;
+  }
+  return record;
+}
+
+/**
+ * Pages through the favorites listing endpoint the page itself uses
+ * @param {Object} options
+ * @param {number} options.progressEnd - Modal progress reached when listing is done
+ * @param {Set<string>} options.knownPostIds - Posts already in the snapshot; paging stops at the first one
+ * @returns {Promise<Array<Object>|null>} Post records (newest first), or null when the
+ *   API is unavailable or its response shape is not recognized
+ */
+async function collectFavoritesFromApi({ progressEnd = 60, knownPostIds = new Set() } = {}) {
+  const records = [];
+  const seen = new Set();
+  let cursor = null;
+  let page = 0;
+  let reachedKnown = false;
+
+  do {
+    // Check for cancellation
+    if (ProgressModal.isCancelled()) {
+      console.log('Collection cancelled by user');
+      throw new Error('Operation cancelled by user');
     }
 
-    // Check if we found new items
-    if (currentItemCount === previousItemCount) {
-      unchangedItemCount++;
-      console.log(`No new items found (${unchangedItemCount}/${maxUnchangedAttempts})`);
-    } else {
-      unchangedItemCount = 0;
-      previousItemCount = currentItemCount;
-      console.log(`Found new items! Total: ${currentItemCount}`);
-    }
-
-    // Check if we've reached the bottom of the scrollable area
-    const isAtBottom = currentScrollTop >= maxScrollTop - 100; // 100px tolerance
-    if (isAtBottom) {
-      bottomReachCount++;
-      console.log(`At bottom of scroll (${bottomReachCount}/${maxBottomAttempts})`);
-      if (bottomReachCount >= maxBottomAttempts && unchangedItemCount >= 3) {
-        reachedBottom = true;
-        console.log('Confirmed at bottom - no more content to load');
+    let result;
+    try {
+      result = await apiRequest(API.POST_LIST_ENDPOINT, {
+        limit: API.POST_LIST_PAGE_SIZE,
+        filter: { source: 'MEDIA_POST_SOURCE_LIKED' },
+        ...(cursor ? { cursor } : {})
+      });
+    } catch (error) {
+      // Even an auth error only means scrolling instead; later requests will report an expired session
+      console.log('Favorites listing unavailable, falling back to scrolling:', error.message);
+      return null;
+    }
+
+    if (!result.ok) {
+      console.log(`Favorites listing failed (${result.error}), falling back to scrolling`);
+      return null;
+    }
+    const data = result.data;
+
+    if (!data || !Array.isArray(data.posts)) {
+      console.log('Unrecognized favorites listing response, falling back to scrolling:', data);
+      return null;
+    }
+
+    for (const post of data.posts) {
+      const record = postToRecord(post);
+      if (!record || seen.has(record.postId)) continue;
+      if (knownPostIds.has(record.postId)) {
+        reachedKnown = true;
+        break;
       }
-    } else {
-      bottomReachCount = 0;
+      seen.add(record.postId);
+      records.push({ ...record, index: records.length });
+    }
+
+    page++;
+    const nextCursor = data.nextCursor || null;
+    // A cursor that does not advance would page forever
+    cursor = !reachedKnown && nextCursor && nextCursor !== cursor && data.posts.length > 0 ? nextCursor : null;
+
+    console.log(`Listing page ${page}: ${data.posts.length} posts, total collected: ${records.length}`);
+    // The total is unknown while paging, so progress creeps towards progressEnd
+    ProgressModal.update(progressEnd * (1 - 1 / (page + 1)), `Collecting favorites... Found ${records.length} so far`);
+
+    if (cursor) {
+      await new Promise(resolve => setTimeout(resolve, TIMING.LIST_PAGE_DELAY));
     }
+  } while (cursor);
 
-    const scrollProgress = Math.min(80, (currentScrollTop / Math.max(1, maxScrollTop)) * 80);
-    ProgressModal.update(scrollProgress, `Collecting items... Found ${currentItemCount} so far`);
+  // An empty answer is indistinguishable from a shape we don't understand,
+  // unless the listing led back to a post we already know
+  if (records.length === 0 && !reachedKnown) {
+    console.log('Favorites listing returned no posts, falling back to scrolling');
+    return null;
+  }
+
+  console.log(`Finished! Total posts listed: ${records.length} (${records.filter(record => record.videoUrl).length} with video)`);
+  ProgressModal.update(progressEnd, `Collected ${records.length} favorites`);
+  return records;
+}
 
-    // If we've been at the bottom with no new content for a while, stop
-    if (reachedBottom && unchangedItemCount >= maxUnchangedAttempts) {
-      console.log('Stopping: reached bottom and no new items found');
-      break;
+/**
+ * Collects all favorites as post records, through the listing API when possible
+ * and by scrolling the page otherwise. Records are cached as a snapshot in the
+ * background worker; when one exists, only posts newer than the snapshot are
+ * collected and merged in front of it.
+ * @param {Object} options
+ * @param {number} options.progressEnd - Modal progress reached when collection is done
+ * @param {boolean} options.fullScan - Ignore the snapshot and collect everything again
+ * @returns {Promise<Array<Object>>} Post records in collection order (newest first)
+ */
+async function collectFavorites({ progressEnd = 60, fullScan = false } = {}) {
+  let snapshot = null;
+  if (!fullScan) {
+    try {
+      ({ snapshot } = await sendRuntimeMessage({ action: 'getSnapshot' }));
+    } catch (error) {
+      console.log('Favorites snapshot unavailable, collecting everything:', error.message);
     }
+  }
+
+  const knownPostIds = new Set(snapshot ? snapshot.records.map(record => record.postId).filter(Boolean) : []);
+  if (snapshot) {
+    console.log(`Refreshing snapshot of ${snapshot.records.length} posts from ${new Date(snapshot.capturedAt).toLocaleString()}`);
+    ProgressModal.update(0, `Checking for favorites newer than the last scan...`);
+  }
 
-    // Scroll down
-    const newScroll = currentScrollTop + scrollIncrement;
-    scrollContainer.scrollTop = newScroll;
-    console.log(`Scrolled from ${currentScrollTop} to ${scrollContainer.scrollTop}`);
+  let source = 'api';
+  let collected = await collectFavoritesFromApi({ progressEnd, knownPostIds });
+  if (!collected) {
+    source = 'scroll';
+    ProgressModal.update(0, snapshot ? 'Scrolling to find new favorites...' : 'Scrolling to load all items...');
+    collected = await crawlFavorites({ progressEnd, knownPostIds });
+  }
 
-    // Update total scroll height (it may grow as content loads)
-    totalScrollHeight = currentScrollHeight;
+  let records = collected;
+  if (snapshot) {
+    const newPostIds = new Set(collected.map(record => record.postId));
+    records = collected
+      .concat(snapshot.records.filter(record => !newPostIds.has(record.postId)))
+      .map((record, index) => ({ ...record, index }));
+    console.log(`${collected.length} new favorites since the last scan, ${records.length} in total`);
+  }
 
-    // Wait for content to load
-    await new Promise(resolve => setTimeout(resolve, 1500));
+  try {
+    await sendRuntimeMessage({ action: 'saveSnapshot', snapshot: { records, capturedAt: Date.now(), source } });
+  } catch (error) {
+    // The operation can still go ahead, it just rescans next time
+    console.error('Failed to save favorites snapshot:', error);
   }
 
-  // Now filter the collected items based on the filter function
-  console.log('Filtering collected items...');
-  const filteredPostIds = [];
-  for (const [postId, { hasVideo, hasImage }] of allItemsData) {
-    if (filterFn(hasVideo, hasImage)) {
-      filteredPostIds.push(postId);
+  ProgressModal.update(progressEnd, `Collected ${records.length} favorites`);
+  return records;
+}
+
+/**
+ * Collects the favorites an operation should act on: the selected posts when
+ * selection mode left a selection behind, narrowed down by the popup's filter
+ * rules when those are enabled. With a filter, the user confirms the match count
+ * before the operation continues.
+ * @param {Object} options
+ * @param {number} options.progressEnd - Modal progress reached when collection is done
+ * @returns {Promise<Array<Object>>} Post records in collection order (newest first)
+ */
+async function collectOperationRecords({ progressEnd = 60 } = {}) {
+  const records = await collectFavorites({ progressEnd });
+
+  const result = await chrome.storage.local.get([SELECTION_KEY, FILTER_KEY]);
+  const selected = new Set(result[SELECTION_KEY] || []);
+  const filter = result[FILTER_KEY];
+
+  let chosen = records;
+  if (selected.size > 0) {
+    chosen = records.filter(record => selected.has(record.postId));
+    console.log(`Selection active: ${chosen.length} of ${records.length} favorites selected`);
+    if (chosen.length < selected.size) {
+      console.warn(`${selected.size - chosen.length} selected posts are no longer in your favorites`);
     }
+    ProgressModal.update(progressEnd, `Using ${chosen.length} selected of ${records.length} favorites`);
   }
 
-  console.log(`Total items collected: ${allItemsData.size}, After filtering: ${filteredPostIds.length}`);
-  ProgressModal.update(85, `Filtered to ${filteredPostIds.length} items...`);
+  if (!filter || !filter.enabled) {
+    return chosen;
+  }
 
-  // Scroll back to top
-  console.log('Scrolling back to top');
-  ProgressModal.update(90, 'Scrolling back to top...');
-  scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 500));
+  const candidates = chosen.length;
+  chosen = await applyOperationFilter(chosen, filter, progressEnd);
+  const summary = describeFilter(filter);
+  console.log(`Filter (${summary}) matches ${chosen.length} of ${candidates} favorites`);
+  ProgressModal.update(progressEnd, `Filter matches ${chosen.length} of ${candidates} favorites`);
+
+  if (chosen.length > 0 && !confirm(`Filter matches ${chosen.length} of ${candidates} favorites:\n${summary}\n\nContinue with these?`)) {
+    throw new Error('Operation cancelled by user');
+  }
+  return chosen;
+}
+
+/**
+ * Narrows post records down to the ones matching the filter rules. The records
+ * themselves are returned unchanged; the media type rule is applied again when
+ * download and export items are built (see readMediaTypeFilter).
+ * @param {Array<Object>} records - Post records
+ * @param {Object} filter - Filter rules from the popup
+ * @param {number} progress - Modal progress to report HD checks at
+ * @returns {Promise<Array<Object>>} Matching records
+ */
+async function applyOperationFilter(records, filter, progress) {
+  const rangeStart = filter.rangeStart || 1;
+  const rangeEnd = filter.rangeEnd || Infinity;
+
+  let matching = records.filter(record => {
+    const position = record.index + 1; // Position in all favorites, newest first
+    if (position < rangeStart || position > rangeEnd) return false;
+    if (filter.mediaType === 'images' && !record.imageUrl) return false;
+    if (filter.mediaType === 'videos' && !record.videoUrl) return false;
+    if (filter.video === 'with' && !hasVideo(record)) return false;
+    if (filter.video === 'without' && hasVideo(record)) return false;
+    if (filter.hd !== 'any' && !record.videoUrl) return false;
+    if (filter.host !== 'any' && getAssetHost(record) !== filter.host) return false;
+    return true;
+  });
+
+  // HD availability is only known after asking the server
+  if (filter.hd === 'available' || filter.hd === 'missing') {
+    const checked = [];
+    for (let i = 0; i < matching.length; i++) {
+      if (ProgressModal.isCancelled()) {
+        console.log('HD check cancelled by user');
+        throw new Error('Operation cancelled by user');
+      }
+
+      const record = matching[i];
+      const hasHD = record.videoUrl.includes('generated_video_hd.mp4') ||
+        (!!record.hdUrl && await checkVideoExistsHTTP(record.hdUrl.split('?')[0]));
+      if (hasHD === (filter.hd === 'available')) {
+        checked.push(record);
+      }
+      ProgressModal.update(progress, `Checking HD versions for the filter ${i + 1}/${matching.length}...`);
+    }
+    matching = checked;
+  }
+  return matching;
+}
+
+/**
+ * Reads the media type rule of the active filter. Downloads and exports only
+ * include that kind of file; every other action looks at whole posts.
+ * @returns {Promise<string>} 'any', 'images' or 'videos'
+ */
+async function readMediaTypeFilter() {
+  const result = await chrome.storage.local.get([FILTER_KEY]);
+  const filter = result[FILTER_KEY];
+  return filter && filter.enabled && filter.mediaType ? filter.mediaType : 'any';
+}
+
+/**
+ * Checks whether a post has a video, even if the crawler only saw its play overlay
+ * @param {Object} record - Post record
+ * @returns {boolean}
+ */
+function hasVideo(record) {
+  return !!(record.hasVideo || record.videoUrl);
+}
+
+/**
+ * Returns the host serving a post's assets, from its image (or video) URL
+ * @param {Object} record - Post record
+ * @returns {string|null}
+ */
+function getAssetHost(record) {
+  try {
+    return new URL(record.imageUrl || record.videoUrl).hostname;
+  } catch (e) {
+    return null;
+  }
+}
 
-  console.log(`Finished! Total post IDs collected: ${filteredPostIds.length}`);
-  return filteredPostIds;
+/**
+ * Describes the active filter rules in one line for dialogs and logs
+ * @param {Object} filter - Filter rules from the popup
+ * @returns {string}
+ */
+function describeFilter(filter) {
+  const parts = [];
+  if (filter.mediaType !== 'any') parts.push(`${filter.mediaType} only`);
+  if (filter.video !== 'any') parts.push(filter.video === 'with' ? 'has video' : 'no video');
+  if (filter.hd !== 'any') parts.push(filter.hd === 'available' ? 'HD available' : 'HD missing');
+  if (filter.rangeStart || filter.rangeEnd) {
+    parts.push(filter.rangeEnd
+      ? `positions ${filter.rangeStart || 1}-${filter.rangeEnd}`
+      : `from position ${filter.rangeStart}`);
+  }
+  if (filter.host !== 'any') parts.push(`hosted on ${filter.host}`);
+  return parts.length > 0 ? parts.join(', ') : 'no rules';
 }
 
 /**
- * Scrolls down the page to load all lazy-loaded content
+ * Drops unfavorited posts from the cached snapshot and the selection so later operations don't see them
+ * @param {Array<string>} postIds - Post IDs that were unfavorited
  * @returns {Promise<void>}
  */
-async function scrollToLoadAll() {
-  console.log('Starting scroll to load all content...');
+async function forgetUnfavoritedPosts(postIds) {
+  if (postIds.length === 0) return;
+  try {
+    await sendRuntimeMessage({ action: 'removeFromSnapshot', postIds });
+  } catch (error) {
+    console.error('Failed to update favorites snapshot:', error);
+  }
 
-  ProgressModal.update(0, 'Finding scrollable container...');
+  // Unfavorited posts can't be acted on anymore, so they leave the selection too
+  const removed = new Set(postIds);
+  const result = await chrome.storage.local.get([SELECTION_KEY]);
+  const selected = result[SELECTION_KEY] || [];
+  if (selected.some(postId => removed.has(postId))) {
+    await chrome.storage.local.set({ [SELECTION_KEY]: selected.filter(postId => !removed.has(postId)) });
+  }
+}
 
-  // Find the scrollable container
-  let scrollContainer = document.documentElement;
-  const possibleContainers = [
-    document.querySelector('main'),
-    document.querySelector('[role="main"]'),
-    document.querySelector('.overflow-y-auto'),
-    document.querySelector('.overflow-auto'),
-    ...Array.from(document.querySelectorAll('div')).filter(el => {
-      const style = window.getComputedStyle(el);
-      return style.overflowY === 'auto' || style.overflowY === 'scroll';
-    })
-  ].filter(el => el !== null);
+/**
+ * Drops the cached favorites snapshot after posts were favorited again. Where a
+ * restored post reappears in the list is unknown, and an incremental refresh stops
+ * at the first post it already knows, so only a full scan is sure to find them.
+ * @returns {Promise<void>}
+ */
+async function invalidateSnapshot() {
+  try {
+    await sendRuntimeMessage({ action: 'clearSnapshot' });
+    console.log('Favorites snapshot cleared - the next operation scans all favorites');
+  } catch (error) {
+    console.error('Failed to clear favorites snapshot:', error);
+  }
+}
 
-  if (possibleContainers.length > 0) {
-    scrollContainer = possibleContainers.reduce((tallest, current) => {
-      return current.scrollHeight > tallest.scrollHeight ? current : tallest;
-    });
-    console.log('Found custom scroll container:', scrollContainer);
+/**
+ * Watches a DOM subtree with a MutationObserver and lets the crawler wait for the
+ * list to settle or for new load activity instead of sleeping for fixed periods
+ * @param {Element} root - Subtree to observe
+ * @param {Function} onMutations - Called with every batch of mutation records
+ * @returns {Object} Tracker with waitForSettle, waitForActivity and disconnect
+ */
+function createDomActivityTracker(root, onMutations) {
+  const listeners = new Set();
+  const observer = new MutationObserver(mutations => {
+    onMutations(mutations);
+    Array.from(listeners).forEach(listener => listener());
+  });
+  observer.observe(root, { childList: true, subtree: true, attributes: true, attributeFilter: ['src'] });
+
+  return {
+    /**
+     * Resolves once no mutation happened for quietMs, or after maxMs at the latest
+     * @param {number} quietMs
+     * @param {number} maxMs
+     * @returns {Promise<void>}
+     */
+    waitForSettle(quietMs = TIMING.DOM_SETTLE_MS, maxMs = TIMING.DOM_SETTLE_MAX_MS) {
+      return new Promise(resolve => {
+        const deadline = Date.now() + maxMs;
+        let timer = null;
+        const done = () => {
+          listeners.delete(arm);
+          resolve();
+        };
+        const arm = () => {
+          clearTimeout(timer);
+          timer = setTimeout(done, Math.max(0, Math.min(quietMs, deadline - Date.now())));
+        };
+        listeners.add(arm);
+        arm();
+      });
+    },
+
+    /**
+     * Resolves true on the next mutation, or false if none happens within timeoutMs
+     * @param {number} timeoutMs
+     * @returns {Promise<boolean>}
+     */
+    waitForActivity(timeoutMs = TIMING.END_OF_LIST_IDLE_MS) {
+      return new Promise(resolve => {
+        const finish = (active) => {
+          clearTimeout(timer);
+          listeners.delete(onActivity);
+          resolve(active);
+        };
+        const onActivity = () => finish(true);
+        const timer = setTimeout(() => finish(false), timeoutMs);
+        listeners.add(onActivity);
+      });
+    },
+
+    disconnect() {
+      observer.disconnect();
+      listeners.clear();
+    }
+  };
+}
+
+/**
+ * Scrolls through the whole favorites list once and returns one record per post
+ * with its image, video, HD candidate and post ID. Every operation consumes these
+ * records, so none of them needs its own scan.
+ *
+ * Cards are captured by a MutationObserver as they mount, so a card the virtual
+ * list unmounts again between two scroll steps is still recorded. The crawler
+ * scrolls on as soon as the list has settled, and treats the list as complete
+ * once the bottom is reached and no more load activity follows.
+ * @param {Object} options
+ * @param {number} options.progressEnd - Modal progress reached when scrolling is done
+ * @param {Set<string>} options.knownPostIds - Posts already in the snapshot; scrolling stops at the first one
+ * @returns {Promise<Array<Object>>} Post records in collection order (newest first)
+ */
+async function crawlFavorites({ progressEnd = 60, knownPostIds = new Set() } = {}) {
+  console.log('Starting scroll to load and collect all content...');
+
+  // Check for cancellation at start
+  if (ProgressModal.isCancelled()) {
+    console.log('Collection cancelled by user');
+    throw new Error('Operation cancelled by user');
   }
 
-  let lastUniqueCount = 0;
-  let unchangedCount = 0;
-  const maxUnchangedAttempts = 10; // More attempts for large collections
-  const seenCards = new Set();
+  const scrollContainer = findScrollContainer();
 
-  // Scroll to top first to ensure we capture everything
-  console.log('Scrolling to top before loading...');
-  scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 500));
-
-  // Get viewport height for relative scrolling
-  const viewportHeight = window.innerHeight;
-  const scrollIncrement = Math.floor(viewportHeight * 0.4); // Scroll by 40% of viewport
-  console.log(`Viewport height: ${viewportHeight}px, Scroll increment: ${scrollIncrement}px`);
-
-  // Track if we've reached the actual bottom
-  let reachedBottom = false;
-  let bottomReachCount = 0;
-  const maxBottomAttempts = 5;
-
-  while (!reachedBottom || unchangedCount < maxUnchangedAttempts) {
-    // Track unique cards (use image src as identifier to handle virtual scrolling)
-    const cards = document.querySelectorAll(SELECTORS.CARD);
-    cards.forEach(card => {
-      const img = card.querySelector(SELECTORS.IMAGE);
-      if (img && img.src) {
-        seenCards.add(img.src);
-      }
-    });
+  const records = new Map(); // Map of postId (or media URL) -> post record
+  let reachedKnown = false;
 
-    const totalUnique = seenCards.size;
-    const currentScrollTop = scrollContainer.scrollTop;
-    const currentScrollHeight = scrollContainer.scrollHeight;
-    const maxScrollTop = currentScrollHeight - scrollContainer.clientHeight;
-    
-    console.log(`Cards in DOM: ${cards.length}, Total unique seen: ${totalUnique}, ScrollTop: ${currentScrollTop}/${maxScrollTop}`);
+  const captureCard = (card) => {
+    if (reachedKnown) return;
+    const found = readCard(card);
+    if (!found) return;
 
-    // Check for cancellation
-    if (ProgressModal.isCancelled()) {
-      console.log('Scroll loading cancelled by user');
-      throw new Error('Operation cancelled by user');
+    // Cards mount top to bottom, so everything newer has been seen by now
+    if (found.postId && knownPostIds.has(found.postId)) {
+      reachedKnown = true;
+      return;
     }
 
-    if (totalUnique === lastUniqueCount) {
-      unchangedCount++;
-      console.log(`No new unique items found (${unchangedCount}/${maxUnchangedAttempts})`);
-    } else {
-      unchangedCount = 0;
-      lastUniqueCount = totalUnique;
-      console.log(`New unique items found! Total: ${totalUnique}`);
-    }
-
-    // Check if we've reached the bottom of the scrollable area
-    const isAtBottom = currentScrollTop >= maxScrollTop - 100; // 100px tolerance
-    if (isAtBottom) {
-      bottomReachCount++;
-      console.log(`At bottom of scroll (${bottomReachCount}/${maxBottomAttempts})`);
-      if (bottomReachCount >= maxBottomAttempts && unchangedCount >= 3) {
-        reachedBottom = true;
-        console.log('Confirmed at bottom - no more content to load');
+    const recordKey = found.postId || found.imageUrl || found.videoUrl;
+    const existing = records.get(recordKey);
+    if (!existing) {
+      records.set(recordKey, { ...found, index: records.size });
+      return;
+    }
+
+    // A card can mount before its video loads - keep whatever either sighting found
+    for (const [field, value] of Object.entries(found)) {
+      if (value && !existing[field]) {
+        existing[field] = value;
       }
-    } else {
-      bottomReachCount = 0;
     }
+  };
+
+  const captureMountedCards = () => {
+    document.querySelectorAll(selector('CARD')).forEach(captureCard);
+  };
+
+  const tracker = createDomActivityTracker(scrollContainer, (mutations) => {
+    for (const mutation of mutations) {
+      if (mutation.type === 'attributes') {
+        const card = mutation.target.closest(selector('CARD'));
+        if (card) captureCard(card);
+        continue;
+      }
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        if (node.matches(selector('CARD'))) {
+          captureCard(node);
+        }
+        node.querySelectorAll(selector('CARD')).forEach(captureCard);
+      });
+    }
+  });
 
-    const scrollProgress = Math.min(80, (currentScrollTop / Math.max(1, maxScrollTop)) * 80);
-    ProgressModal.update(scrollProgress, `Loading favorites... Found ${totalUnique} items so far`);
+  try {
+    // Scroll to top first to ensure we capture everything
+    console.log('Scrolling to top before collection...');
+    scrollContainer.scrollTop = 0;
+    await tracker.waitForSettle();
+    captureMountedCards();
+
+    // Use smaller scroll increments for better capture with virtual scrolling
+    const scrollIncrement = Math.floor(window.innerHeight * 0.4); // Scroll by 40% of viewport
+    console.log(`Viewport height: ${window.innerHeight}px, Scroll increment: ${scrollIncrement}px`);
+
+    while (!reachedKnown) {
+      // Check for cancellation
+      if (ProgressModal.isCancelled()) {
+        console.log('Collection cancelled by user');
+        throw new Error('Operation cancelled by user');
+      }
 
-    // If we've been at the bottom with no new content for a while, stop
-    if (reachedBottom && unchangedCount >= maxUnchangedAttempts) {
-      console.log('Stopping: reached bottom and no new items found');
-      break;
-    }
+      const currentScrollTop = scrollContainer.scrollTop;
+      const maxScrollTop = scrollContainer.scrollHeight - scrollContainer.clientHeight;
+      console.log(`Total posts collected: ${records.size}, ScrollTop: ${currentScrollTop}/${maxScrollTop}`);
+
+      const scrollProgress = Math.min(progressEnd, (currentScrollTop / Math.max(1, maxScrollTop)) * progressEnd);
+      ProgressModal.update(scrollProgress, `Collecting favorites... Found ${records.size} so far`);
+
+      // At the bottom the page either loads another batch or the list is complete
+      if (currentScrollTop >= maxScrollTop - 100) { // 100px tolerance
+        const heightBefore = scrollContainer.scrollHeight;
+        const countBefore = records.size;
+
+        console.log('At bottom of scroll, waiting for more items to load...');
+        // Mutations alone (a spinner, a video src) don't prove the list ended or grew:
+        // only END_OF_LIST_IDLE_MS without new cards or extra height ends the crawl
+        const idleDeadline = Date.now() + TIMING.END_OF_LIST_IDLE_MS;
+        let grew = false;
+        while (!grew && !reachedKnown && Date.now() < idleDeadline) {
+          if (ProgressModal.isCancelled()) {
+            console.log('Collection cancelled by user');
+            throw new Error('Operation cancelled by user');
+          }
+          if (await tracker.waitForActivity(idleDeadline - Date.now())) {
+            await tracker.waitForSettle();
+          }
+          captureMountedCards();
+          grew = scrollContainer.scrollHeight > heightBefore || records.size > countBefore;
+        }
 
-    // Scroll down
-    const newScroll = currentScrollTop + scrollIncrement;
-    scrollContainer.scrollTop = newScroll;
-    console.log(`Scrolled from ${currentScrollTop} to ${scrollContainer.scrollTop}`);
+        if (!grew && !reachedKnown) {
+          console.log(`No new items for ${TIMING.END_OF_LIST_IDLE_MS}ms - reached the end of the list`);
+          break;
+        }
+        continue;
+      }
+
+      // Scroll down and let the virtual list catch up before the next step
+      scrollContainer.scrollTop = currentScrollTop + scrollIncrement;
+      await tracker.waitForSettle();
+      captureMountedCards();
+    }
+  } finally {
+    tracker.disconnect();
+  }
 
-    // Wait for content to load
-    await new Promise(resolve => setTimeout(resolve, 1500));
+  if (reachedKnown) {
+    console.log(`Reached posts from the last scan after ${records.size} new posts`);
   }
 
   // Scroll back to top
   console.log('Scrolling back to top');
-  ProgressModal.update(90, 'Scrolling back to top...');
   scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 500));
 
-  const finalCount = seenCards.size;
-  console.log(`Finished! Total unique items loaded: ${finalCount}`);
-  ProgressModal.update(100, `Loaded ${finalCount} total items`);
+  const result = Array.from(records.values());
+  console.log(`Finished! Total posts collected: ${result.length} (${result.filter(record => record.videoUrl).length} with video)`);
+  ProgressModal.update(progressEnd, `Collected ${result.length} favorites`);
+  return result;
 }
 
 /**
- * Scrolls and collects video IDs that need upscaling (no HD version exists)
- * @returns {Promise<Array<string>>} Array of video IDs to upscale
+ * Turns post records into download items for the given download type, checking
+ * which HD video candidates actually exist
+ * @param {Array<Object>} records - Post records from collectFavorites
+ * @param {string} type - Type of download (saveImages, saveVideos, saveBoth, saveNew)
+ * @param {Object} options - Modal progress range { start, end } for the HD checks, and the
+ *   filter's mediaType ('images' or 'videos' leaves out the other kind of file)
+ * @returns {Promise<Array>} Array of media items
  */
-async function scrollAndCollectVideosForUpscale() {
-  console.log('Starting scroll to collect videos for upscaling...');
+async function buildMediaFromRecords(records, type, { start = 70, end = 85, mediaType = 'any' } = {}) {
+  console.log('Processing collected media...');
+  ProgressModal.update(start, 'Processing collected media...');
 
-  // Find the scrollable container
-  let scrollContainer = document.documentElement;
-  const possibleContainers = [
-    document.querySelector('main'),
-    document.querySelector('[role="main"]'),
-    document.querySelector('.overflow-y-auto'),
-    document.querySelector('.overflow-auto'),
-    ...Array.from(document.querySelectorAll('div')).filter(el => {
-      const style = window.getComputedStyle(el);
-      return style.overflowY === 'auto' || style.overflowY === 'scroll';
-    })
-  ].filter(el => el !== null);
+  const capturedAt = Date.now();
+  const includeImages = (type === 'saveImages' || type === 'saveBoth' || type === 'saveNew') && mediaType !== 'videos';
+  const includeVideos = (type === 'saveVideos' || type === 'saveBoth' || type === 'saveNew') && mediaType !== 'images';
+  const media = [];
+  const hdRecordsToCheck = [];
+
+  for (const record of records) {
+    if (includeImages && record.imageUrl) {
+      media.push(toDownloadItem({
+        url: record.imageUrl,
+        filename: record.imageFilename,
+        isVideo: false,
+        isHD: false,
+        key: record.postId ? `image:${record.postId}` : `url:${record.imageUrl}`,
+        postId: record.postId,
+        videoId: null,
+        index: record.index,
+        createdAt: record.createdAt
+      }, capturedAt));
+    }
 
-  if (possibleContainers.length > 0) {
-    scrollContainer = possibleContainers.reduce((tallest, current) => {
-      return current.scrollHeight > tallest.scrollHeight ? current : tallest;
-    });
-    console.log('Found custom scroll container:', scrollContainer);
+    if (includeVideos && record.videoUrl) {
+      media.push(toDownloadItem({
+        url: record.videoSrc,
+        filename: record.videoFilename,
+        isVideo: true,
+        isHD: false,
+        key: record.videoId ? `video:${record.videoId}` : `url:${record.videoUrl}`,
+        postId: record.postId,
+        videoId: record.videoId,
+        index: record.index,
+        createdAt: record.createdAt
+      }, capturedAt));
+
+      if (record.hdUrl) {
+        hdRecordsToCheck.push(record);
+      }
+    }
   }
 
-  // First pass: collect all video URLs and IDs while scrolling
-  const videoData = new Map(); // Map of videoId -> video URL
-  const seenUrls = new Set();
-  let unchangedVideoCount = 0;
-  let previousVideoCount = 0;
-  const maxUnchangedAttempts = 10; // More attempts for large collections with virtual scrolling
+  // Now check HD videos (after main collection)
+  console.log(`Checking ${hdRecordsToCheck.length} HD videos...`);
+  for (let i = 0; i < hdRecordsToCheck.length; i++) {
+    // Check for cancellation
+    if (ProgressModal.isCancelled()) {
+      console.log('HD check cancelled by user');
+      throw new Error('Operation cancelled by user');
+    }
 
-  // Scroll to top first to ensure we capture everything
-  console.log('Scrolling to top before collection...');
-  scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 1000));
+    const record = hdRecordsToCheck[i];
+    const hdExists = await checkVideoExists(record.hdUrl);
+    if (hdExists) {
+      media.push(toDownloadItem({
+        url: record.hdUrl,
+        filename: record.videoFilename.replace(/(\.[^.]+)$/, '-HD$1'),
+        isVideo: true,
+        isHD: true,
+        key: record.videoId ? `video-hd:${record.videoId}` : `url:${record.hdUrl}`,
+        postId: record.postId,
+        videoId: record.videoId,
+        index: record.index,
+        createdAt: record.createdAt
+      }, capturedAt));
+    }
 
-  // Get total scroll height for progress calculation
-  let totalScrollHeight = scrollContainer.scrollHeight;
-  console.log(`Initial scroll height: ${totalScrollHeight}`);
+    const checkProgress = start + (((i + 1) / hdRecordsToCheck.length) * (end - start));
+    ProgressModal.update(checkProgress, `Checked ${i + 1}/${hdRecordsToCheck.length} HD videos...`);
+  }
 
-  const viewportHeight = window.innerHeight;
-  const scrollIncrement = Math.floor(viewportHeight * 0.4); // Scroll by 40% of viewport
-  console.log(`Viewport height: ${viewportHeight}px, Scroll increment: ${scrollIncrement}px`);
+  console.log(`Total posts collected: ${records.length}, Media to process: ${media.length}`);
+  ProgressModal.update(end, `Filtered to ${media.length} items...`);
+  return media;
+}
+
+/**
+ * Collects all favorites and returns the media for a download type
+ * @param {string} type - Type of download (saveImages, saveVideos, saveBoth, saveNew, saveAllVersions)
+ * @returns {Promise<Array>} Array of media items
+ */
+async function scrollAndCollectMedia(type) {
+  const records = await collectOperationRecords({ progressEnd: 60 });
+  const mediaType = await readMediaTypeFilter();
+  if (type === 'saveAllVersions') {
+    // Every version is a video, so an "images only" filter leaves nothing to download
+    return mediaType === 'images' ? [] : buildVersionMediaFromRecords(records, { start: 60, end: 90 });
+  }
+  return buildMediaFromRecords(records, type, { start: 70, end: 90, mediaType });
+}
 
-  // Track if we've reached the actual bottom
-  let reachedBottom = false;
-  let bottomReachCount = 0;
-  const maxBottomAttempts = 5;
+/**
+ * Turns post records into download items for every video version of every post.
+ * The versions come from each post's data; a post whose data can't be fetched
+ * falls back to the video on its card. Versions are numbered oldest first, and
+ * each one is followed by its HD variant when that exists.
+ * @param {Array<Object>} records - Post records from collectFavorites
+ * @param {Object} progress - Modal progress range { start, end }
+ * @returns {Promise<Array>} Array of media items
+ */
+async function buildVersionMediaFromRecords(records, { start = 60, end = 90 } = {}) {
+  const capturedAt = Date.now();
+  const media = [];
+  const postRecords = records.filter(record => record.postId);
 
-  while (!reachedBottom || unchangedVideoCount < maxUnchangedAttempts) {
+  for (let i = 0; i < postRecords.length; i++) {
     // Check for cancellation
     if (ProgressModal.isCancelled()) {
-      console.log('Collection cancelled by user');
+      console.log('Version lookup cancelled by user');
       throw new Error('Operation cancelled by user');
     }
 
-    // Collect video URLs and IDs from currently visible cards (no async operations)
-    const cards = document.querySelectorAll(SELECTORS.CARD);
-    for (const card of cards) {
-      const video = card.querySelector(SELECTORS.VIDEO);
-      if (video && video.src) {
-        const url = video.src.split('?')[0];
-        // Only process standard (non-HD) video URLs
-        if (!seenUrls.has(url) && url.includes('generated_video.mp4') && !url.includes('generated_video_hd.mp4')) {
-          seenUrls.add(url);
-          const videoId = extractVideoId(video.src);
-          if (videoId) {
-            videoData.set(videoId, url);
-          }
-        }
-      }
+    const record = postRecords[i];
+    const post = await fetchPostDetails(record.postId);
+    let versions = post ? listVideoVersions(post).map(entry => ({
+      url: entry.mediaUrl,
+      videoId: extractVideoId(entry.mediaUrl) || entry.id
+    })) : [];
+
+    const createdAt = record.createdAt || (post && post.createTime) || null;
+    if (versions.length === 0 && record.videoUrl) {
+      console.log(`No version list for post ${record.postId}, using the video on its card`);
+      versions = [{ url: record.videoSrc, videoId: record.videoId }];
     }
 
-    const currentVideoCount = videoData.size;
-    const currentScrollTop = scrollContainer.scrollTop;
-    const currentScrollHeight = scrollContainer.scrollHeight;
-    const maxScrollTop = currentScrollHeight - scrollContainer.clientHeight;
-    
-    console.log(`Cards in DOM: ${cards.length}, Videos found: ${currentVideoCount}, ScrollTop: ${currentScrollTop}/${maxScrollTop}`);
-
-    // Check if we found new videos
-    if (currentVideoCount === previousVideoCount) {
-      unchangedVideoCount++;
-      console.log(`No new videos found (${unchangedVideoCount}/${maxUnchangedAttempts})`);
-    } else {
-      unchangedVideoCount = 0;
-      previousVideoCount = currentVideoCount;
-      console.log(`Found new videos! Total: ${currentVideoCount}`);
-    }
-
-    // Check if we've reached the bottom of the scrollable area
-    const isAtBottom = currentScrollTop >= maxScrollTop - 100; // 100px tolerance
-    if (isAtBottom) {
-      bottomReachCount++;
-      console.log(`At bottom of scroll (${bottomReachCount}/${maxBottomAttempts})`);
-      if (bottomReachCount >= maxBottomAttempts && unchangedVideoCount >= 3) {
-        reachedBottom = true;
-        console.log('Confirmed at bottom - no more content to load');
+    for (let v = 0; v < versions.length; v++) {
+      const { url, videoId } = versions[v];
+      const version = versions.length > 1 ? v + 1 : null;
+      const filename = record.videoFilename || determineFilename(url, record.postId, true);
+
+      media.push(toDownloadItem({
+        url,
+        filename,
+        isVideo: true,
+        isHD: false,
+        key: videoId ? `video:${videoId}` : `url:${url.split('?')[0]}`,
+        postId: record.postId,
+        videoId,
+        index: record.index,
+        createdAt,
+        version
+      }, capturedAt));
+
+      if (url.includes('generated_video.mp4')) {
+        const hdUrl = url.replace('generated_video.mp4', 'generated_video_hd.mp4');
+        if (await checkVideoExists(hdUrl)) {
+          media.push(toDownloadItem({
+            url: hdUrl,
+            filename: filename.replace(/(\.[^.]+)$/, '-HD$1'),
+            isVideo: true,
+            isHD: true,
+            key: videoId ? `video-hd:${videoId}` : `url:${hdUrl.split('?')[0]}`,
+            postId: record.postId,
+            videoId,
+            index: record.index,
+            createdAt,
+            version
+          }, capturedAt));
+        }
       }
-    } else {
-      bottomReachCount = 0;
     }
 
-    const scrollProgress = Math.min(50, (currentScrollTop / Math.max(1, maxScrollTop)) * 50);
-    ProgressModal.update(scrollProgress, `Collecting videos... Found ${currentVideoCount} so far`);
-
-    // If we've been at the bottom with no new content for a while, stop
-    if (reachedBottom && unchangedVideoCount >= maxUnchangedAttempts) {
-      console.log('Stopping: reached bottom and no new videos found');
-      break;
-    }
-
-    // Scroll down
-    const newScroll = currentScrollTop + scrollIncrement;
-    scrollContainer.scrollTop = newScroll;
-    console.log(`Scrolled from ${currentScrollTop} to ${scrollContainer.scrollTop}`);
-
-    // Update total scroll height (it may grow as content loads)
-    totalScrollHeight = currentScrollHeight;
-
-    // Wait for content to load
-    await new Promise(resolve => setTimeout(resolve, 1500));
+    const progress = start + (((i + 1) / postRecords.length) * (end - start));
+    ProgressModal.update(progress, `Listed video versions for ${i + 1}/${postRecords.length} posts - ${media.length} files`);
+    await new Promise(resolve => setTimeout(resolve, TIMING.POST_DETAILS_DELAY));
   }
 
-  // Scroll back to top
-  console.log('Scrolling back to top');
-  scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 500));
+  console.log(`Total posts: ${postRecords.length}, video files to process: ${media.length}`);
+  return media;
+}
 
-  console.log(`Finished scrolling! Total videos found: ${videoData.size}`);
+/**
+ * Picks the videos from post records that still need upscaling (no HD version exists)
+ * @param {Array<Object>} records - Post records from collectFavorites
+ * @returns {Promise<Object>} { needed, alreadyHd } - records whose video needs upscaling and those that already have HD
+ */
+async function findVideosNeedingUpscale(records) {
+  // Only standard (non-HD) videos can be upscaled
+  const candidates = records.filter(record =>
+    record.videoId && record.hdUrl && !record.videoUrl.includes('generated_video_hd.mp4')
+  );
   ProgressModal.update(50, `Checking which videos need upscaling...`);
 
-  // Second pass: check which videos need upscaling (async operations after scrolling)
-  const videoIds = [];
-  let checkedCount = 0;
-  const totalVideos = videoData.size;
-
-  for (const [videoId, videoUrl] of videoData) {
+  const needed = [];
+  const alreadyHd = [];
+  for (let i = 0; i < candidates.length; i++) {
     // Check for cancellation
     if (ProgressModal.isCancelled()) {
       console.log('HD check cancelled by user');
@@ -927,551 +2078,1288 @@ async function scrollAndCollectVideosForUpscale() {
     }
 
     // Check if HD version already exists using lightweight HEAD request
-    const hdUrl = videoUrl.replace('generated_video.mp4', 'generated_video_hd.mp4');
-    const hdExists = await checkVideoExistsHTTP(hdUrl);
+    const { videoId, hdUrl } = candidates[i];
+    const hdExists = await checkVideoExistsHTTP(hdUrl.split('?')[0]);
 
     if (!hdExists) {
-      videoIds.push(videoId);
+      needed.push(candidates[i]);
       console.log(`Video ${videoId} needs upscaling`);
     } else {
+      alreadyHd.push(candidates[i]);
       console.log(`HD already exists for video ${videoId}, skipping`);
     }
 
-    checkedCount++;
-    const checkProgress = 50 + ((checkedCount / totalVideos) * 50);
-    ProgressModal.update(checkProgress, `Checked ${checkedCount}/${totalVideos} videos - ${videoIds.length} need upscaling`);
+    const checkProgress = 50 + (((i + 1) / candidates.length) * 50);
+    ProgressModal.update(checkProgress, `Checked ${i + 1}/${candidates.length} videos - ${needed.length} need upscaling`);
   }
 
-  console.log(`Finished! Total videos to upscale: ${videoIds.length} out of ${totalVideos} total`);
-  return videoIds;
+  console.log(`Finished! Total videos to upscale: ${needed.length} out of ${candidates.length} total`);
+  return { needed, alreadyHd };
 }
 
 /**
- * Scrolls down the page to load all lazy-loaded content and collects media
- * @param {string} type - Type of download (saveImages, saveVideos, saveBoth)
- * @returns {Promise<Array>} Array of media items
+ * Builds the download item handed to the background worker. Besides the URL and the
+ * default filename it carries the metadata used to render filename templates.
+ * @param {Object} data - Collected media entry
+ * @param {number} capturedAt - Timestamp of the collection run
+ * @returns {Object} Download item
  */
-async function scrollAndCollectMedia(type) {
-  console.log('Starting scroll to load and collect all content...');
+function toDownloadItem(data, capturedAt) {
+  return {
+    url: data.url,
+    filename: data.filename,
+    key: data.key,
+    postId: data.postId,
+    videoId: data.videoId,
+    type: data.isVideo ? 'video' : 'image',
+    isHD: data.isHD,
+    index: data.index,
+    version: data.version || null,
+    createdAt: data.createdAt || null,
+    capturedAt
+  };
+}
 
-  // Check for cancellation at start
-  if (ProgressModal.isCancelled()) {
-    console.log('Scroll and collect cancelled by user');
-    throw new Error('Operation cancelled by user');
+/**
+ * Builds the entry the background upscale tracker keeps for one upscale request,
+ * including the -HD download queued once the HD video exists
+ * @param {Object} record - Post record whose video was sent for upscaling
+ * @param {Object} result - Result from upscaleVideo
+ * @param {number} capturedAt - Timestamp of the upscale run
+ * @returns {Object} Tracker request
+ */
+function toUpscaleRequest(record, result, capturedAt) {
+  return {
+    videoId: record.videoId,
+    postId: record.postId,
+    hdUrl: record.hdUrl,
+    accepted: result.ok,
+    error: result.error,
+    download: toDownloadItem({
+      url: record.hdUrl,
+      filename: record.videoFilename.replace(/(\.[^.]+)$/, '-HD$1'),
+      isVideo: true,
+      isHD: true,
+      key: `video-hd:${record.videoId}`,
+      postId: record.postId,
+      videoId: record.videoId,
+      index: record.index,
+      createdAt: record.createdAt
+    }, capturedAt)
+  };
+}
+
+/**
+ * Hands upscale requests to the background worker, which tracks them until the
+ * HD video exists and then downloads it
+ * @param {Array<Object>} requests - Entries from toUpscaleRequest
+ * @returns {Promise<void>}
+ */
+async function trackUpscaleRequests(requests) {
+  if (requests.length === 0) return;
+
+  try {
+    const response = await sendRuntimeMessage({ action: 'trackUpscales', requests });
+    const { pending, ready, failed } = response.counts;
+    console.log(`Tracking upscales: ${pending} pending, ${ready} ready, ${failed} failed`);
+  } catch (error) {
+    // The upscales themselves were requested; only the automatic HD download is lost
+    console.error('Failed to track upscale requests:', error);
   }
+}
 
-  // Find the scrollable container
-  let scrollContainer = document.documentElement;
-  const possibleContainers = [
-    document.querySelector('main'),
-    document.querySelector('[role="main"]'),
-    document.querySelector('.overflow-y-auto'),
-    document.querySelector('.overflow-auto'),
-    ...Array.from(document.querySelectorAll('div')).filter(el => {
-      const style = window.getComputedStyle(el);
-      return style.overflowY === 'auto' || style.overflowY === 'scroll';
-    })
-  ].filter(el => el !== null);
+/**
+ * Classifies an upscale response for the run results
+ * @param {Object} result - Result from upscaleVideo
+ * @returns {string} One of UPSCALE_RESULT
+ */
+function classifyUpscaleResult(result) {
+  if (result.ok) return UPSCALE_RESULT.ACCEPTED;
+  if (result.cancelled) return UPSCALE_RESULT.CANCELLED;
+  return result.status >= 400 && result.status < 500 ? UPSCALE_RESULT.REJECTED : UPSCALE_RESULT.ERROR;
+}
 
-  if (possibleContainers.length > 0) {
-    scrollContainer = possibleContainers.reduce((tallest, current) => {
-      return current.scrollHeight > tallest.scrollHeight ? current : tallest;
-    });
-    console.log('Found custom scroll container:', scrollContainer);
+/**
+ * Counts the results of an upscale run per outcome
+ * @param {Array<Object>} results - Per-video results
+ * @returns {Object} Count per UPSCALE_RESULT value
+ */
+function countUpscaleResults(results) {
+  const counts = {};
+  Object.values(UPSCALE_RESULT).forEach(outcome => {
+    counts[outcome] = 0;
+  });
+  results.forEach(({ outcome }) => {
+    counts[outcome]++;
+  });
+  return counts;
+}
+
+/**
+ * Handles video upscaling; the HD results are tracked and downloaded by the background worker.
+ * Requests go through a work queue that keeps at most `maxConcurrentUpscales` in flight.
+ * Cancelling stops the queue and aborts the requests in flight, including their retry waits.
+ */
+async function handleUpscale() {
+  console.log('Starting handleUpscale');
+
+  // Check if we're on the favorites page
+  const cards = document.querySelectorAll(selector('CARD'));
+  if (cards.length === 0) {
+    throw new Error('No media cards found. Make sure you are on the favorites page, or use Run Diagnostics in the popup to check which selectors still match.');
   }
 
-  // First, collect ALL media data while scrolling (don't process yet)
-  const allMediaData = new Map(); // Map of url -> { url, filename, isVideo, isHD }
-  let unchangedMediaCount = 0;
-  let previousMediaCount = 0;
-  const maxUnchangedAttempts = 10; // More attempts for large collections with virtual scrolling
+  ProgressModal.show('Upscaling Videos', 'This may take several minutes...');
 
-  // Scroll to top first to ensure we capture everything
-  console.log('Scrolling to top before collection...');
-  scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 1000));
+  // Scroll and collect videos to upscale
+  const records = await collectOperationRecords({ progressEnd: 50 });
+  // Like downloads, upscaling is about files: an "images only" filter leaves no videos
+  const { needed: videosToUpscale, alreadyHd } = (await readMediaTypeFilter()) === 'images'
+    ? { needed: [], alreadyHd: [] }
+    : await findVideosNeedingUpscale(records);
 
-  // Get total scroll height and viewport for progress calculation
-  let totalScrollHeight = scrollContainer.scrollHeight;
-  console.log(`Initial scroll height: ${totalScrollHeight}`);
+  if (videosToUpscale.length === 0) {
+    ProgressModal.hide();
+    const shouldRefresh = confirm('No videos found that need upscaling.\n\nClick OK to refresh the page.');
+    if (shouldRefresh) {
+      window.location.reload();
+    }
+    return;
+  }
 
-  // Get viewport height for relative scrolling
-  const viewportHeight = window.innerHeight;
-  // Use smaller scroll increments for better capture with virtual scrolling
-  const scrollIncrement = Math.floor(viewportHeight * 0.4); // Scroll by 40% of viewport
-  console.log(`Viewport height: ${viewportHeight}px, Scroll increment: ${scrollIncrement}px`);
+  const { settings } = await sendRuntimeMessage({ action: 'getSettings' });
+  const concurrency = Math.min(settings.maxConcurrentUpscales, videosToUpscale.length);
+  const total = videosToUpscale.length;
+  ProgressModal.update(0, `Found ${total} videos to upscale`);
+
+  const capturedAt = Date.now();
+  const results = alreadyHd.map(record => ({
+    videoId: record.videoId,
+    postId: record.postId,
+    outcome: UPSCALE_RESULT.ALREADY_HD,
+    status: null,
+    error: null
+  }));
+  const requests = []; // Handed to the background upscale tracker
+  const failures = [];
+  const controller = new AbortController();
+  let sessionError = null;
+  let nextIndex = 0;
+  let inFlight = 0;
+  let settled = 0;
+
+  const reportProgress = () => {
+    ProgressModal.update((settled / total) * 100, `Requested ${settled}/${total} upscales (${inFlight} in flight)`);
+  };
+
+  // Each worker takes the next video once its previous request has settled
+  const worker = async () => {
+    while (nextIndex < total && !controller.signal.aborted) {
+      const record = videosToUpscale[nextIndex++];
+      inFlight++;
+      reportProgress();
+
+      let result;
+      try {
+        result = await upscaleVideo(record.videoId, controller.signal);
+      } catch (error) {
+        // Session expired - stop the queue and end the run
+        sessionError = sessionError || error;
+        controller.abort();
+        result = { ok: false, status: error.status || 0, error: error.message, cancelled: false };
+      } finally {
+        inFlight--;
+      }
 
-  // Track if we've reached the actual bottom
-  let reachedBottom = false;
-  let bottomReachCount = 0;
-  const maxBottomAttempts = 5;
+      const outcome = classifyUpscaleResult(result);
+      results.push({ videoId: record.videoId, postId: record.postId, outcome, status: result.status || null, error: result.error });
+      if (outcome !== UPSCALE_RESULT.CANCELLED) {
+        settled++;
+        requests.push(toUpscaleRequest(record, result, capturedAt));
+      }
+      if (outcome === UPSCALE_RESULT.REJECTED || outcome === UPSCALE_RESULT.ERROR) {
+        failures.push({ videoId: record.videoId, status: result.status, error: result.error });
+        console.log(`Failed to upscale video ${record.videoId} (${result.error})`);
+      } else if (outcome === UPSCALE_RESULT.ACCEPTED) {
+        console.log(`Successfully requested upscale for video ${record.videoId}`);
+      }
+      reportProgress();
+    }
+  };
 
-  while (!reachedBottom || unchangedMediaCount < maxUnchangedAttempts) {
-    // Check for cancellation
+  // Turn a click on the modal's cancel button into an abort of the running requests
+  const cancelPoll = setInterval(() => {
     if (ProgressModal.isCancelled()) {
-      console.log('Scroll and collect cancelled by user');
-      throw new Error('Operation cancelled by user');
+      controller.abort();
     }
+  }, 500);
 
-    // Collect ALL media from currently visible cards
-    const cards = document.querySelectorAll(SELECTORS.CARD);
+  try {
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  } finally {
+    clearInterval(cancelPoll);
+    // Also covers cancelled runs: every request already sent gets tracked
+    await trackUpscaleRequests(requests);
+  }
 
-    for (const card of cards) {
-      let imageName = null;
+  const notSent = total - nextIndex;
+  const counts = countUpscaleResults(results);
+  await chrome.storage.local.set({
+    [UPSCALE_RUN_KEY]: {
+      startedAt: capturedAt,
+      finishedAt: Date.now(),
+      cancelled: controller.signal.aborted,
+      notSent,
+      counts,
+      results
+    }
+  });
 
-      // Extract image
-      const img = card.querySelector(SELECTORS.IMAGE);
-      if (img && img.src) {
-        const url = img.src.split('?')[0].replace(/\/cdn-cgi\/image\/[^\/]*\//, '/');
+  if (sessionError) {
+    throw sessionError;
+  }
 
-        if (isValidUrl(url, URL_PATTERNS.IMAGE)) {
-          const filename = determineFilename(url, null, false);
-          imageName = extractBaseName(url);
+  const summary = `${counts.accepted} accepted, ${counts.rejected} rejected, ${counts.error} errors, ${counts.already_hd} already HD` +
+    `${failures.length > 0 ? ` (${summarizeFailures(failures)})` : ''}.`;
 
-          // Store image data
-          if (!allMediaData.has(url)) {
-            allMediaData.set(url, { url: url, filename, isVideo: false, isHD: false });
-          }
-        }
-      }
+  ProgressModal.hide();
+  if (controller.signal.aborted) {
+    const shouldRefresh = confirm(`Operation cancelled. ${summary} ${counts.cancelled + notSent} videos were not requested.\n\nUse "Export Last Upscale Results" in the popup to save the per-video results.\n\nClick OK to refresh the page.`);
+    if (shouldRefresh) {
+      window.location.reload();
+    }
+    return;
+  }
 
-      // Extract video
-      const video = card.querySelector(SELECTORS.VIDEO);
-      if (video && video.src) {
-        const url = video.src.split('?')[0];
+  const shouldRefresh = confirm(`Finished! Upscale requests: ${summary}\n\nUpscaling will complete in the background. The extension checks for the HD videos every minute and downloads them as they appear; the popup shows how many are still pending. Use "Export Last Upscale Results" in the popup to save the per-video results.\n\nClick OK to refresh the page now (required before next operation).`);
+  chrome.storage.local.set({ activeOperation: false });
+  if (shouldRefresh) {
+    window.location.reload();
+  }
+}
 
-        if (!allMediaData.has(url)) {
-          const uuidRe = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-          const filename = (imageName && uuidRe.test(imageName)) ? `${imageName}.mp4` : determineFilename(url, imageName || null, true);
+/**
+ * Saves the per-video results of the last upscale run as JSON
+ */
+async function handleExportUpscaleResults() {
+  const stored = await chrome.storage.local.get([UPSCALE_RUN_KEY]);
+  const run = stored[UPSCALE_RUN_KEY];
+  if (!run) {
+    throw new Error('No upscale run recorded yet. Run "Upscale Videos to HD" first.');
+  }
 
-          // Store video data
-          allMediaData.set(url, { url: video.src, filename, isVideo: true, isHD: false });
+  const { settings } = await sendRuntimeMessage({ action: 'getSettings' });
+  const filename = `${settings.baseFolder}/upscale-results-${new Date(run.startedAt).toISOString().slice(0, 10)}.json`;
+  const report = {
+    startedAt: new Date(run.startedAt).toISOString(),
+    finishedAt: new Date(run.finishedAt).toISOString(),
+    cancelled: run.cancelled,
+    notSent: run.notSent,
+    counts: run.counts,
+    results: run.results
+  };
+  await saveGeneratedFile(new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' }), filename);
+
+  alert(`Saved the results of ${run.results.length} videos to ${filename}.`);
+}
 
-          // Also track potential HD version URL
-          if (url.includes('generated_video.mp4')) {
-            const hdUrl = video.src.replace('generated_video.mp4', 'generated_video_hd.mp4');
-            const hdFilename = filename.replace(/(\.[^.]+)$/, '-HD$1');
+/**
+ * Looks up the post data for every collected post and attaches the metadata that
+ * background.js writes into a <name>.json sidecar next to each downloaded file
+ * @param {Array} media - Download items (mutated in place)
+ * @returns {Promise<void>}
+ */
+async function attachSidecarMetadata(media) {
+  const postIds = Array.from(new Set(media.map(item => item.postId).filter(Boolean)));
+  const details = new Map();
 
-            if (!allMediaData.has(hdUrl)) {
-              allMediaData.set(hdUrl, { url: hdUrl, filename: hdFilename, isVideo: true, isHD: true });
-            }
-          }
-        }
-      }
+  for (let i = 0; i < postIds.length; i++) {
+    if (ProgressModal.isCancelled()) {
+      console.log('Post detail lookup cancelled by user');
+      throw new Error('Operation cancelled by user');
     }
 
-    const currentMediaCount = allMediaData.size;
-    const currentScrollTop = scrollContainer.scrollTop;
-    const currentScrollHeight = scrollContainer.scrollHeight;
-    const maxScrollTop = currentScrollHeight - scrollContainer.clientHeight;
-    
-    console.log(`Cards in DOM: ${cards.length}, Total media collected: ${currentMediaCount}, ScrollTop: ${currentScrollTop}/${maxScrollTop}`);
+    details.set(postIds[i], await fetchPostDetails(postIds[i]));
+    ProgressModal.update(90 + ((i + 1) / postIds.length) * 10, `Fetching post details ${i + 1}/${postIds.length}...`);
+    await new Promise(resolve => setTimeout(resolve, TIMING.POST_DETAILS_DELAY));
+  }
 
-    // Check if we found new media
-    if (currentMediaCount === previousMediaCount) {
-      unchangedMediaCount++;
-      console.log(`No new media found (${unchangedMediaCount}/${maxUnchangedAttempts})`);
-    } else {
-      unchangedMediaCount = 0;
-      previousMediaCount = currentMediaCount;
-      console.log(`Found ${currentMediaCount - previousMediaCount} new items! Total: ${currentMediaCount}`);
-    }
-
-    // Check if we've reached the bottom of the scrollable area
-    const isAtBottom = currentScrollTop >= maxScrollTop - 100; // 100px tolerance
-    if (isAtBottom) {
-      bottomReachCount++;
-      console.log(`At bottom of scroll (${bottomReachCount}/${maxBottomAttempts})`);
-      if (bottomReachCount >= maxBottomAttempts && unchangedMediaCount >= 3) {
-        reachedBottom = true;
-        console.log('Confirmed at bottom - no more content to load');
+  const imageUrls = new Map(media.filter(item => item.type === 'image').map(item => [item.postId, item.url]));
+  media.forEach(item => {
+    item.sidecar = buildSidecar(item, details.get(item.postId) || null, imageUrls.get(item.postId) || null);
+  });
+}
+
+/**
+ * Builds the sidecar metadata for one downloaded file
+ * @param {Object} item - Download item
+ * @param {Object|null} post - Post data from the REST API, if it could be fetched
+ * @param {string|null} imageUrl - Image URL of the same post
+ * @returns {Object} Sidecar contents
+ */
+function buildSidecar(item, post, imageUrl) {
+  // The post's videos are child posts; match the one this file belongs to
+  const children = (post && (post.childPosts || post.videos)) || [];
+  const child = item.videoId
+    ? children.find(entry => entry && (entry.id === item.videoId || String(entry.mediaUrl || '').includes(item.videoId)))
+    : null;
+
+  return {
+    postId: item.postId || null,
+    videoId: item.videoId || null,
+    type: item.type,
+    isHD: !!item.isHD,
+    sourceUrl: item.url,
+    imageUrl,
+    prompt: post ? (post.originalPrompt || post.prompt || null) : null,
+    videoPrompt: child ? (child.originalPrompt || child.prompt || null) : null,
+    createdAt: (child && child.createTime) || (post && post.createTime) || null,
+    postCreatedAt: post ? (post.createTime || null) : null,
+    capturedAt: new Date(item.capturedAt).toISOString(),
+    postDetailsAvailable: !!post
+  };
+}
+
+/**
+ * Sends a message to the background worker and resolves with its response
+ * @param {Object} message - Message payload
+ * @returns {Promise<*>}
+ */
+function sendRuntimeMessage(message) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
       }
-    } else {
-      bottomReachCount = 0;
-    }
+      if (response && response.success === false) {
+        reject(new Error(response.error || 'Background request failed'));
+        return;
+      }
+      resolve(response);
+    });
+  });
+}
 
-    // Update progress based on scroll position and media count
-    const scrollProgress = Math.min(60, (currentScrollTop / Math.max(1, maxScrollTop)) * 60);
-    ProgressModal.update(scrollProgress, `Collecting media... Found ${currentMediaCount} items so far`);
+/**
+ * Collects every favorite from scratch and replaces the cached snapshot
+ */
+async function handleRescan() {
+  console.log('Starting handleRescan');
 
-    // If we've been at the bottom with no new content for a while, stop
-    if (reachedBottom && unchangedMediaCount >= maxUnchangedAttempts) {
-      console.log('Stopping: reached bottom and no new media found');
-      break;
-    }
+  ProgressModal.show('Rescanning Favorites', 'Collecting all favorites...');
+  const records = await collectFavorites({ progressEnd: 100, fullScan: true });
+  ProgressModal.hide();
 
-    // Scroll down
-    const newScroll = currentScrollTop + scrollIncrement;
-    scrollContainer.scrollTop = newScroll;
-    console.log(`Scrolled from ${currentScrollTop} to ${scrollContainer.scrollTop}`);
+  const videoCount = records.filter(record => record.videoUrl).length;
+  alert(`Rescan complete: ${records.length} favorites (${videoCount} with video).\n\nThe next operation will use this list and only look for newer favorites.`);
+}
 
-    // Update total scroll height (it may grow as content loads)
-    totalScrollHeight = scrollContainer.scrollHeight;
+/**
+ * Handles media download requests
+ * @param {string} type - Type of download (saveImages, saveVideos, saveBoth, saveNew, saveAllVersions)
+ */
+async function handleSave(type) {
+  console.log(`Starting handleSave with type: ${type}`);
 
-    // Wait for content to load - longer wait to ensure virtual scroll updates
-    await new Promise(resolve => setTimeout(resolve, 1500));
+  // Check if we're on the favorites page
+  const cards = document.querySelectorAll(selector('CARD'));
+  if (cards.length === 0) {
+    throw new Error('No media cards found. Make sure you are on the favorites page, or use Run Diagnostics in the popup to check which selectors still match.');
   }
 
-  // Now filter and process the collected media based on type
-  console.log('Processing collected media...');
-  ProgressModal.update(70, 'Processing collected media...');
+  // Show progress modal and scroll to collect all media
+  ProgressModal.show('Collecting Favorites', 'Scrolling to load all items...');
+  let media = await scrollAndCollectMedia(type);
 
-  const media = [];
-  const hdVideosToCheck = []; // Collect HD videos to check separately
+  if (media.length === 0) {
+    ProgressModal.hide();
+    throw new Error('No media found matching the selected criteria.');
+  }
 
-  for (const [url, data] of allMediaData) {
-    // Handle HD videos separately - queue them for checking
-    if (data.isHD && data.isVideo) {
-      hdVideosToCheck.push({ url, data });
-      continue;
+  // Incremental backup: drop everything the backup ledger already has
+  if (type === 'saveNew') {
+    ProgressModal.update(95, 'Comparing with previous backups...');
+    const collectedCount = media.length;
+    const response = await sendRuntimeMessage({ action: 'filterNewMedia', media });
+    media = response.media;
+    console.log(`${collectedCount - media.length} items already backed up, ${media.length} new`);
+
+    if (media.length === 0) {
+      ProgressModal.hide();
+      const shouldRefresh = confirm(`No new favorites since the last backup (${collectedCount} items already downloaded).\n\nClick OK to refresh the page.`);
+      if (shouldRefresh) {
+        window.location.reload();
+      }
+      return;
     }
+  }
 
-    // Filter based on type
-    const shouldInclude =
-      (type === 'saveImages' && !data.isVideo) ||
-      (type === 'saveVideos' && data.isVideo) ||
-      (type === 'saveBoth');
+  const { settings } = await sendRuntimeMessage({ action: 'getSettings' });
+  if (settings.writeSidecars) {
+    await attachSidecarMetadata(media);
+  }
 
-    if (shouldInclude) {
-      media.push({ url: data.url, filename: data.filename });
-    }
+  ProgressModal.update(100, `Found ${media.length} items to download`);
+
+  // Hide modal and show refresh prompt BEFORE sending download message
+  ProgressModal.hide();
+
+  const shouldRefresh = confirm(`Ready to download ${media.length} items!\n\nDownloads will start after you close this dialog. Check extension popup for progress.\n\nClick OK to refresh the page now, or Cancel to stay (the collected favorites are kept for the next operation).`);
+
+  // Send to background script for download
+  chrome.runtime.sendMessage({
+    action: 'startDownloads',
+    media
+  });
+
+  if (shouldRefresh) {
+    window.location.reload();
   }
+}
 
-  // Now check HD videos asynchronously (after main collection)
-  console.log(`Checking ${hdVideosToCheck.length} HD videos...`);
-  let hdCheckedCount = 0;
+/**
+ * Exports the collected favorites as one or more size-capped ZIP archives.
+ * Each archive carries a manifest.json describing its files and is saved through
+ * the background worker as a single download.
+ */
+async function handleExportZip() {
+  console.log('Starting handleExportZip');
 
-  for (const { url, data } of hdVideosToCheck) {
-    // Check for cancellation
+  // Check if we're on the favorites page
+  const cards = document.querySelectorAll(selector('CARD'));
+  if (cards.length === 0) {
+    throw new Error('No media cards found. Make sure you are on the favorites page, or use Run Diagnostics in the popup to check which selectors still match.');
+  }
+
+  ProgressModal.show('Exporting ZIP Archive', 'Scrolling to load all items...');
+  const media = await scrollAndCollectMedia('saveBoth');
+
+  if (media.length === 0) {
+    ProgressModal.hide();
+    throw new Error('No media found matching the selected criteria.');
+  }
+
+  // Paths inside the archive follow the same template and folder layout as regular downloads
+  const plan = await sendRuntimeMessage({ action: 'planDownloads', media });
+  const maxBytes = Math.min(ZIP_LIMITS.MAX_BYTES, plan.settings.zipMaxSizeMB * 1024 * 1024);
+  const baseFolder = plan.settings.baseFolder;
+  const exportDate = new Date().toISOString().slice(0, 10);
+
+  let archive = createZipArchive();
+  let manifestFiles = [];
+  let archiveCount = 0;
+  let savedFiles = 0;
+  const failed = [];
+
+  const saveArchive = async () => {
+    if (archive.entryCount === 0) return;
+    archiveCount++;
+
+    const manifest = encodeManifest({
+      exportedAt: new Date().toISOString(),
+      archive: archiveCount,
+      fileCount: manifestFiles.length,
+      files: manifestFiles
+    });
+    archive.addFile('manifest.json', new Blob([manifest]), manifest);
+
+    const filename = `${baseFolder}/${baseFolder.split('/').pop()}-${exportDate}-part${archiveCount}.zip`;
+    ProgressModal.update(95, `Saving archive ${archiveCount} (${formatBytes(archive.size)})...`);
+    await saveGeneratedFile(archive.toBlob(), filename, manifestFiles.map(file => file.key).filter(Boolean));
+
+    savedFiles += manifestFiles.length;
+    archive = createZipArchive();
+    manifestFiles = [];
+  };
+
+  for (let i = 0; i < plan.items.length; i++) {
     if (ProgressModal.isCancelled()) {
-      console.log('HD check cancelled by user');
-      throw new Error('Operation cancelled by user');
+      console.log(`ZIP export cancelled at file ${i + 1}`);
+      throw new Error(`Operation cancelled by user after saving ${archiveCount} archive(s)`);
     }
 
-    const hdExists = await checkVideoExists(url);
-    if (hdExists) {
-      const shouldInclude =
-        (type === 'saveVideos' || type === 'saveBoth');
+    const item = plan.items[i];
+    // Keep the folder layout but drop the base folder, which already names the archive
+    const path = item.filename.startsWith(`${baseFolder}/`) ? item.filename.slice(baseFolder.length + 1) : item.filename;
+    ProgressModal.update((i / plan.items.length) * 95, `Adding ${i + 1}/${plan.items.length} to archive ${archiveCount + 1}...`);
 
-      if (shouldInclude) {
-        media.push({ url: data.url, filename: data.filename });
+    try {
+      const blob = await fetchMediaBlob(item.url);
+      const bytes = new Uint8Array(await blob.arrayBuffer());
+
+      // Start a new archive once this file would push the current one past the cap
+      const reserve = (manifestFiles.length + 1) * 512; // Room for the manifest
+      if (archive.entryCount > 0 &&
+        (archive.sizeWith(path, bytes.length) + reserve > maxBytes || archive.entryCount >= ZIP_LIMITS.MAX_ENTRIES - 1)) {
+        await saveArchive();
       }
+
+      const checksum = archive.addFile(path, blob, bytes);
+      manifestFiles.push({
+        path,
+        url: item.url,
+        key: item.key,
+        postId: item.postId,
+        videoId: item.videoId,
+        type: item.type,
+        isHD: item.isHD,
+        size: bytes.length,
+        crc32: checksum.toString(16).padStart(8, '0')
+      });
+    } catch (error) {
+      console.error(`Failed to add ${item.url} to archive:`, error);
+      failed.push(item.filename);
     }
+  }
+
+  await saveArchive();
+
+  ProgressModal.hide();
+  const shouldRefresh = confirm(`Finished! Exported ${savedFiles} files into ${archiveCount} ZIP archive(s)${failed.length > 0 ? `, ${failed.length} files could not be fetched` : ''}.\n\nClick OK to refresh the page now (required before next operation).`);
+  if (shouldRefresh) {
+    window.location.reload();
+  }
+}
+
+/**
+ * Hands a file built in the page to the background worker, which saves it
+ * through chrome.downloads
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Path relative to the Chrome downloads folder
+ * @param {Array<string>} keys - Ledger keys of the media the file contains
+ * @returns {Promise<void>}
+ */
+async function saveGeneratedFile(blob, filename, keys = []) {
+  const blobUrl = URL.createObjectURL(blob);
+  try {
+    await sendRuntimeMessage({ action: 'downloadGeneratedFile', url: blobUrl, filename, keys });
+  } finally {
+    URL.revokeObjectURL(blobUrl);
+  }
+}
+
+// Column order of the catalog export; JSON records use the same field names
+const CATALOG_FIELDS = ['index', 'postId', 'imageUrl', 'videoId', 'videoUrl', 'hdUrl', 'hasVideo', 'hasHD'];
+const CATALOG_SCHEMA_VERSION = 2; // 2: hasHD is null while HD availability is unchecked
+
+/**
+ * Exports an inventory of all favorites as JSON or CSV without downloading any media
+ * @param {string} format - 'json' or 'csv'
+ */
+async function handleExportCatalog(format) {
+  console.log(`Starting handleExportCatalog with format: ${format}`);
+
+  // Check if we're on the favorites page
+  const cards = document.querySelectorAll(selector('CARD'));
+  if (cards.length === 0) {
+    throw new Error('No media cards found. Make sure you are on the favorites page, or use Run Diagnostics in the popup to check which selectors still match.');
+  }
+
+  ProgressModal.show('Exporting Catalog', 'Scrolling to load all items...');
+  const records = buildCatalogRecords(await collectOperationRecords({ progressEnd: 90 }));
+
+  if (records.length === 0) {
+    ProgressModal.hide();
+    throw new Error('No media found matching the selected criteria.');
+  }
+
+  ProgressModal.update(95, `Saving catalog of ${records.length} favorites...`);
+  const { settings } = await sendRuntimeMessage({ action: 'getSettings' });
+  const exportedAt = new Date();
+  const filename = `${settings.baseFolder}/catalog-${exportedAt.toISOString().slice(0, 10)}.${format}`;
+
+  let blob;
+  if (format === 'csv') {
+    const rows = [CATALOG_FIELDS.join(',')]
+      .concat(records.map(record => CATALOG_FIELDS.map(field => toCsvValue(record[field])).join(',')));
+    blob = new Blob([rows.join('\r\n') + '\r\n'], { type: 'text/csv' });
+  } else {
+    const catalog = {
+      schemaVersion: CATALOG_SCHEMA_VERSION,
+      exportedAt: exportedAt.toISOString(),
+      count: records.length,
+      posts: records
+    };
+    blob = new Blob([JSON.stringify(catalog, null, 2)], { type: 'application/json' });
+  }
+
+  await saveGeneratedFile(blob, filename);
 
-    hdCheckedCount++;
-    const checkProgress = 70 + ((hdCheckedCount / hdVideosToCheck.length) * 15);
-    ProgressModal.update(checkProgress, `Checked ${hdCheckedCount}/${hdVideosToCheck.length} HD videos...`);
+  ProgressModal.hide();
+  const shouldRefresh = confirm(`Finished! Saved a catalog of ${records.length} favorites to ${filename}.\n\nClick OK to refresh the page now (required before next operation).`);
+  if (shouldRefresh) {
+    window.location.reload();
   }
+}
 
-  console.log(`Total media collected: ${allMediaData.size}, After filtering: ${media.length}`);
-  ProgressModal.update(85, `Filtered to ${media.length} items...`);
-
-  // Scroll back to top
-  console.log('Scrolling back to top');
-  ProgressModal.update(90, 'Scrolling back to top...');
-  scrollContainer.scrollTop = 0;
-  await new Promise(resolve => setTimeout(resolve, 500));
+/**
+ * Turns post records into catalog records, in collection order. The catalog is
+ * an inventory of whole posts, so the media type filter does not blank fields,
+ * and HD availability is not probed: hasHD is only true or false when the
+ * records already tell, and null otherwise.
+ * @param {Array<Object>} records - Post records from collectOperationRecords
+ * @returns {Array<Object>} Catalog records with the CATALOG_FIELDS keys
+ */
+function buildCatalogRecords(records) {
+  return records.map(record => {
+    const isHD = !!record.videoUrl && record.videoUrl.includes('generated_video_hd.mp4');
+    let hasHD = null;
+    if (isHD) {
+      hasHD = true;
+    } else if (!hasVideo(record)) {
+      hasHD = false;
+    }
 
-  console.log(`Finished! Total media to download: ${media.length}`);
-  return media;
+    return {
+      index: Number.isInteger(record.index) ? record.index + 1 : null,
+      postId: record.postId || null,
+      imageUrl: record.imageUrl || null,
+      videoId: record.videoId || null,
+      videoUrl: record.videoSrc || record.videoUrl || null,
+      hdUrl: isHD ? record.videoSrc : (record.hdUrl || null),
+      hasVideo: hasVideo(record),
+      hasHD
+    };
+  });
 }
 
 /**
- * Collects media from currently loaded cards
- * @param {string} type - Type of download
- * @param {Array} media - Array to add media to
- * @param {Set} seen - Set of already seen URLs
- * @param {number} currentIndex - Current card index for progress
- * @param {number} totalCards - Total cards for progress
+ * Formats a value as an RFC 4180 CSV field
+ * @param {*} value
+ * @returns {string}
  */
-async function collectMediaFromVisibleCards(type, media, seen, currentIndex = 0, totalCards = 0) {
-  const cards = document.querySelectorAll(SELECTORS.CARD);
-
-  for (const card of cards) {
-    let imageName = null;
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
 
-    // Extract image
-    const img = card.querySelector(SELECTORS.IMAGE);
-    if (img && img.src) {
-      const url = img.src.split('?')[0].replace(/\/cdn-cgi\/image\/[^\/]*\//, '/');
-      const filename = determineFilename(url, null, false);
-      imageName = extractBaseName(url);
+/**
+ * Serializes an archive manifest as UTF-8 JSON
+ * @param {Object} manifest - Manifest contents
+ * @returns {Uint8Array}
+ */
+function encodeManifest(manifest) {
+  return new TextEncoder().encode(JSON.stringify(manifest, null, 2));
+}
 
-      if ((type === 'saveImages' || type === 'saveBoth') &&
-        !seen.has(url) &&
-        isValidUrl(url, URL_PATTERNS.IMAGE)) {
-        seen.add(url);
-        media.push({ url: img.src, filename });
-      }
-    }
+/**
+ * Formats a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
 
-    // Extract video
-    if (type === 'saveVideos' || type === 'saveBoth' || shouldUpscale) {
-      const video = card.querySelector(SELECTORS.VIDEO);
-      if (video && video.src) {
-        const url = video.src.split('?')[0];
-        if (!seen.has(url)) {
-          seen.add(url);
+/**
+ * Loads the unfavorite journal, oldest batch first
+ * @returns {Promise<Array<Object>>} Batches of { id, label, startedAt, entries: [{ postId, unlikedAt }] }
+ */
+async function readJournal() {
+  const result = await chrome.storage.local.get([JOURNAL.KEY]);
+  return result[JOURNAL.KEY] || [];
+}
 
-          const uuidRe = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-          const filename = (imageName && uuidRe.test(imageName)) ? `${imageName}.mp4` : determineFilename(url, imageName || null, true);
+/**
+ * Stores a journal batch, replacing its previous version. Empty batches are
+ * dropped and only the newest JOURNAL.MAX_BATCHES are kept.
+ * @param {Object} batch - Journal batch
+ * @returns {Promise<void>}
+ */
+async function writeJournalBatch(batch) {
+  const journal = (await readJournal()).filter(entry => entry.id !== batch.id);
+  if (batch.entries.length > 0) {
+    journal.push(batch);
+  }
+  await chrome.storage.local.set({ [JOURNAL.KEY]: journal.slice(-JOURNAL.MAX_BATCHES) });
+}
 
-          media.push({ url: video.src, filename });
+/**
+ * Picks the records an unfavorite mode applies to. The records must carry all of
+ * their post's media, as collectOperationRecords returns them; judging a post by
+ * a subset would unfavorite posts that are not image-only or not fully backed up.
+ * @param {Array<Object>} records - Post records
+ * @param {string} mode - Key of UNFAVORITE_MODES
+ * @returns {Promise<Array<Object>>} Records to unfavorite
+ */
+async function selectRecordsToUnfavorite(records, mode) {
+  if (mode === 'unsaveImageOnly') {
+    return records.filter(record => !hasVideo(record));
+  }
+  if (mode === 'unsaveWithVideo') {
+    return records.filter(record => hasVideo(record));
+  }
+  if (mode === 'unsaveBackedUp') {
+    // A post counts as backed up once its image and its video are both in the backup ledger.
+    // Posts whose image URL is missing, or whose video was only seen as a play overlay,
+    // can't be checked and are kept.
+    const posts = records
+      .filter(record => record.postId && record.imageUrl && (record.videoId || !hasVideo(record)))
+      .map(record => ({
+        postId: record.postId,
+        keys: [`image:${record.postId}`, record.videoId ? `video:${record.videoId}` : null].filter(Boolean)
+      }));
+    const { postIds } = await sendRuntimeMessage({ action: 'listBackedUpPosts', posts });
+    const backedUp = new Set(postIds);
+    return records.filter(record => backedUp.has(record.postId));
+  }
+  return records;
+}
 
-          // Check for HD version
-          if (url.includes('generated_video.mp4')) {
-            const hdUrl = video.src.replace('generated_video.mp4', 'generated_video_hd.mp4');
-            const hdFilename = filename.replace(/(\.[^.]+)$/, '-HD$1');
+/**
+ * Shows the post IDs an unfavorite run would remove and waits for the user to
+ * confirm by typing the number of posts. Nothing is unliked before this resolves true.
+ * @param {Array<string>} postIds - Post IDs that would be unfavorited
+ * @param {string} label - What kind of posts these are
+ * @returns {Promise<boolean>} True if the user confirmed
+ */
+function confirmUnfavorite(postIds, label) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.id = 'grok-favorites-unfavorite-preview';
+    overlay.innerHTML = `
+      <div style="
+        position: fixed;
+        top: 0;
+        left: 0;
+        width: 100%;
+        height: 100%;
+        background: rgba(0, 0, 0, 0.8);
+        backdrop-filter: blur(4px);
+        z-index: 999999;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+      ">
+        <div style="
+          background: #1a1a1a;
+          border: 1px solid #2a2a2a;
+          border-radius: 16px;
+          padding: 32px;
+          min-width: 400px;
+          max-width: 500px;
+          box-shadow: 0 20px 60px rgba(0, 0, 0, 0.5);
+          color: #e5e5e5;
+        ">
+          <div style="font-size: 20px; font-weight: 600; margin-bottom: 8px;" id="grok-preview-title"></div>
+          <div style="font-size: 13px; color: #888; margin-bottom: 12px; line-height: 1.5;">
+            Dry run - nothing has been unfavorited yet. These post IDs would be removed:
+          </div>
+          <textarea id="grok-preview-list" readonly style="
+            width: 100%;
+            height: 180px;
+            background: #0a0a0a;
+            border: 1px solid #2a2a2a;
+            border-radius: 8px;
+            color: #a0a0a0;
+            font-size: 11px;
+            font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+            padding: 8px;
+            margin-bottom: 12px;
+            resize: none;
+            box-sizing: border-box;
+          "></textarea>
+          <div style="font-size: 13px; color: #ff6b6b; margin-bottom: 8px;" id="grok-preview-prompt"></div>
+          <input id="grok-preview-input" type="text" autocomplete="off" style="
+            width: 100%;
+            padding: 10px 12px;
+            background: #0a0a0a;
+            border: 1px solid #2a2a2a;
+            border-radius: 8px;
+            color: #e5e5e5;
+            font-size: 14px;
+            margin-bottom: 16px;
+            box-sizing: border-box;
+          " />
+          <div style="display: flex; gap: 8px;">
+            <button id="grok-preview-cancel" style="
+              flex: 1;
+              padding: 10px 16px;
+              background: #2a2a2a;
+              border: 1px solid #3a3a3a;
+              border-radius: 8px;
+              color: #e5e5e5;
+              font-size: 14px;
+              cursor: pointer;
+              font-family: inherit;
+            ">Cancel</button>
+            <button id="grok-preview-confirm" disabled style="
+              flex: 1;
+              padding: 10px 16px;
+              background: #2a1a1a;
+              border: 1px solid #4a2a2a;
+              border-radius: 8px;
+              color: #ff6b6b;
+              font-size: 14px;
+              cursor: not-allowed;
+              opacity: 0.5;
+              font-family: inherit;
+            ">Unfavorite</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const expected = String(postIds.length);
+    const input = document.getElementById('grok-preview-input');
+    const confirmButton = document.getElementById('grok-preview-confirm');
+    document.getElementById('grok-preview-title').textContent = `Unfavorite ${postIds.length} ${label}?`;
+    document.getElementById('grok-preview-list').value = postIds.join('\n');
+    document.getElementById('grok-preview-prompt').textContent = `Type ${expected} to confirm. This cannot be undone from Grok.`;
+
+    const close = (confirmed) => {
+      overlay.remove();
+      resolve(confirmed);
+    };
 
-            if (!seen.has(hdUrl)) {
-              const hdExists = await checkVideoExists(hdUrl);
-              if (hdExists) {
-                seen.add(hdUrl);
-                media.push({ url: hdUrl, filename: hdFilename });
-              }
-            }
-          }
-        }
-      }
-    }
-  }
+    input.addEventListener('input', () => {
+      const matches = input.value.trim() === expected;
+      confirmButton.disabled = !matches;
+      confirmButton.style.opacity = matches ? '1' : '0.5';
+      confirmButton.style.cursor = matches ? 'pointer' : 'not-allowed';
+    });
+    confirmButton.addEventListener('click', () => {
+      if (input.value.trim() === expected) close(true);
+    });
+    document.getElementById('grok-preview-cancel').addEventListener('click', () => close(false));
+    input.focus();
+  });
 }
 
 /**
- * Handles video upscaling without downloading
+ * Handles the unfavorite operations: every favorite, or only image-only posts,
+ * posts with a video, or posts already backed up
+ * @param {string} mode - Key of UNFAVORITE_MODES
  */
-async function handleUpscale() {
-  console.log('Starting handleUpscale');
+async function handleUnsave(mode) {
+  const { title, label } = UNFAVORITE_MODES[mode];
+  ProgressModal.show(title, 'Collecting all media...');
 
-  // Check if we're on the favorites page
-  const cards = document.querySelectorAll(SELECTORS.CARD);
-  if (cards.length === 0) {
-    throw new Error('No media cards found. Make sure you are on the favorites page.');
-  }
+  // Collect every post - the crawler already resolves post IDs from image URLs
+  // (for older posts, videos have different UUIDs than their images)
+  const records = await selectRecordsToUnfavorite(await collectOperationRecords({ progressEnd: 60 }), mode);
 
-  ProgressModal.show('Upscaling Videos', 'This may take several minutes...');
+  const postIdsSet = new Set();
+  for (const record of records) {
+    if (record.postId) {
+      postIdsSet.add(record.postId);
+    } else {
+      console.log(`Couldn't extract post ID for: ${record.imageUrl || record.videoUrl}`);
+    }
+  }
 
-  // Scroll and collect videos to upscale
-  const videosToUpscale = await scrollAndCollectVideosForUpscale();
+  const postIds = Array.from(postIdsSet);
+  console.log(`Found ${postIds.length} ${label} to unfavorite:`, postIds);
 
-  if (videosToUpscale.length === 0) {
+  if (postIds.length === 0) {
     ProgressModal.hide();
-    const shouldRefresh = confirm('No videos found that need upscaling.\n\nClick OK to refresh the page.');
+    const shouldRefresh = confirm(`No ${label} found.\n\nClick OK to refresh the page.`);
     if (shouldRefresh) {
       window.location.reload();
     }
     return;
   }
 
-  ProgressModal.update(10, `Found ${videosToUpscale.length} videos to upscale`);
+  // Dry run first: nothing is unliked until the user has reviewed the list and typed the count
+  ProgressModal.hide();
+  if (!(await confirmUnfavorite(postIds, label))) {
+    console.log('Unfavorite cancelled at the preview');
+    return;
+  }
+  ProgressModal.show(title, 'Unfavoriting...');
 
-  let successCount = 0;
-  let skipCount = 0;
-  const STAGGER_DELAY = 300; // 300ms delay between requests
+  const { successCount, failCount, failures, cancelled } = await unfavoritePosts(postIds, label);
 
-  // Start all upscale requests with staggered delays
-  const upscalePromises = [];
-  for (let i = 0; i < videosToUpscale.length; i++) {
-    // Check for cancellation before starting each request
-    if (ProgressModal.isCancelled()) {
-      console.log(`Upscale operation cancelled at video ${i + 1}`);
-      ProgressModal.hide();
-      const shouldRefresh = confirm(`Operation cancelled. ${successCount} of ${videosToUpscale.length} videos were requested for upscale.\n\nClick OK to refresh the page.`);
-      if (shouldRefresh) {
-        window.location.reload();
-      }
-      return;
+  ProgressModal.hide();
+  if (cancelled) {
+    const shouldRefresh = confirm(`Operation cancelled. ${successCount} of ${postIds.length} items were unfavorited.\n\nClick OK to refresh the page.`);
+    if (shouldRefresh) {
+      window.location.reload();
     }
+    return;
+  }
 
-    const videoId = videosToUpscale[i];
-    const videoIndex = i + 1;
+  const shouldRefresh = confirm(`Finished! Successfully unfavorited ${successCount} items${failCount > 0 ? `, ${failCount} failed (${summarizeFailures(failures)})` : ''}.\n\nUse "Restore Last Unfavorite Batch" in the popup to undo.\n\nClick OK to refresh the page now (required to see changes).`);
+  if (shouldRefresh) {
+    window.location.reload();
+  }
+}
 
-    // Create a promise that delays, then makes the request
-    const upscalePromise = (async () => {
-      // Stagger the request
-      await new Promise(resolve => setTimeout(resolve, i * STAGGER_DELAY));
+/**
+ * Unfavorites posts one by one, journaling each success so the batch can be
+ * restored, and drops them from the snapshot and selection afterwards
+ * @param {Array<string>} postIds - Post IDs to unfavorite
+ * @param {string} label - What kind of posts these are, for the journal
+ * @returns {Promise<Object>} { successCount, failCount, cancelled }
+ */
+async function unfavoritePosts(postIds, label) {
+  const estimatedTime = Math.ceil(postIds.length * TIMING.UNFAVORITE_DELAY / 1000);
+  ProgressModal.update(0, `Found ${postIds.length} items. Starting unfavorite process (${estimatedTime}s)...`);
 
-      // Check for cancellation before making the request
-      if (ProgressModal.isCancelled()) {
-        return { success: false, cancelled: true };
-      }
+  let successCount = 0;
+  let failCount = 0;
+  const failures = [];
+  const unlikedPostIds = [];
+  // Every unliked post is journaled right away so the batch can be restored even after a crash
+  const batch = { id: `batch-${Date.now()}`, label, startedAt: Date.now(), entries: [] };
 
-      const progress = 10 + ((videoIndex / videosToUpscale.length) * 90);
-      ProgressModal.update(progress, `Requesting upscale ${videoIndex}/${videosToUpscale.length}...`);
+  for (let i = 0; i < postIds.length; i++) {
+    // Check for cancellation
+    if (ProgressModal.isCancelled()) {
+      console.log(`Unfavorite operation cancelled at item ${i + 1}`);
+      await forgetUnfavoritedPosts(unlikedPostIds);
+      return { successCount, failCount, failures, cancelled: true };
+    }
 
-      const upscaled = await upscaleVideo(videoId);
-      if (upscaled) {
+    try {
+      const result = await unlikePost(postIds[i]);
+      if (result.ok) {
         successCount++;
-        console.log(`Successfully requested upscale for video ${videoIndex}`);
-        return { success: true, cancelled: false };
+        unlikedPostIds.push(postIds[i]);
+        batch.entries.push({ postId: postIds[i], unlikedAt: Date.now() });
+        await writeJournalBatch(batch);
+        console.log(`Unfavorited item ${i + 1} of ${postIds.length}`);
       } else {
-        skipCount++;
-        console.log(`Failed to upscale video ${videoIndex}`);
-        return { success: false, cancelled: false };
+        failCount++;
+        failures.push({ postId: postIds[i], status: result.status, error: result.error });
+        console.warn(`Failed to unfavorite item ${i + 1} (${result.error})`);
       }
-    })();
-
-    upscalePromises.push(upscalePromise);
-  }
 
-  // Wait for all requests to complete
-  await Promise.all(upscalePromises);
+      const progress = ((i + 1) / postIds.length) * 100;
+      ProgressModal.update(progress, `Unfavorited ${successCount} of ${postIds.length} items`);
 
-  // Final check for cancellation
-  if (ProgressModal.isCancelled()) {
-    ProgressModal.hide();
-    const shouldRefresh = confirm(`Operation cancelled. ${successCount} of ${videosToUpscale.length} videos were requested for upscale.\n\nClick OK to refresh the page.`);
-    if (shouldRefresh) {
-      window.location.reload();
+      // Small delay between requests
+      await new Promise(resolve => setTimeout(resolve, TIMING.UNFAVORITE_DELAY));
+    } catch (error) {
+      if (error.sessionExpired) {
+        // Stop the run; what was unliked so far is already journaled
+        await forgetUnfavoritedPosts(unlikedPostIds);
+        throw error;
+      }
+      failCount++;
+      failures.push({ postId: postIds[i], status: 0, error: error.message });
+      console.error(`Failed to unfavorite item ${i + 1}:`, error);
     }
-    return;
   }
 
-  ProgressModal.hide();
-  const shouldRefresh = confirm(`Finished! Successfully requested upscale for ${successCount} videos${skipCount > 0 ? `, ${skipCount} failed` : ''}.\n\nUpscaling will complete in the background.\n\nClick OK to refresh the page now (required before next operation).`);
-  chrome.storage.local.set({ activeOperation: false });
-  if (shouldRefresh) {
-    window.location.reload();
+  if (failures.length > 0) {
+    console.warn('Posts that could not be unfavorited:', failures);
   }
+  await forgetUnfavoritedPosts(unlikedPostIds);
+  return { successCount, failCount, failures, cancelled: false };
 }
 
 /**
- * Handles media download requests
- * @param {string} type - Type of download (saveImages, saveVideos, saveBoth)
+ * Archives favorites: downloads every file, waits until the background worker
+ * reports each one complete and verified, then unfavorites only the posts whose
+ * files were all saved. Posts with a failed file stay favorited and are reported.
  */
-async function handleSave(type) {
-  console.log(`Starting handleSave with type: ${type}`);
+async function handleArchive() {
+  console.log('Starting handleArchive');
 
   // Check if we're on the favorites page
-  const cards = document.querySelectorAll(SELECTORS.CARD);
+  const cards = document.querySelectorAll(selector('CARD'));
   if (cards.length === 0) {
-    throw new Error('No media cards found. Make sure you are on the favorites page.');
+    throw new Error('No media cards found. Make sure you are on the favorites page, or use Run Diagnostics in the popup to check which selectors still match.');
   }
 
-  // Show progress modal and scroll to collect all media
-  ProgressModal.show('Collecting Favorites', 'Scrolling to load all items...');
-  const media = await scrollAndCollectMedia(type);
+  ProgressModal.show('Archiving Favorites', 'Collecting all media...');
+  // Archive always downloads every file of the matching posts, whatever the filter's media type.
+  // Only posts with a known ID can be unfavorited afterwards.
+  const records = (await collectOperationRecords({ progressEnd: 60 })).filter(record => record.postId);
+  const { media, unresolved } = await buildArchiveMedia(records, { start: 60, end: 90 });
 
   if (media.length === 0) {
     ProgressModal.hide();
     throw new Error('No media found matching the selected criteria.');
   }
 
-  ProgressModal.update(100, `Found ${media.length} items to download`);
+  const { settings } = await sendRuntimeMessage({ action: 'getSettings' });
+  if (settings.writeSidecars) {
+    await attachSidecarMetadata(media);
+  }
 
-  // Hide modal and show refresh prompt BEFORE sending download message
+  const postIds = records.map(record => record.postId);
   ProgressModal.hide();
+  if (!(await confirmUnfavorite(postIds, 'posts once all their files are downloaded'))) {
+    console.log('Archive cancelled at the preview');
+    return;
+  }
 
-  const shouldRefresh = confirm(`Ready to download ${media.length} items!\n\nDownloads will start after you close this dialog. Check extension popup for progress.\n\nClick OK to refresh the page now, or Cancel to stay (refresh required before next operation).`);
+  ProgressModal.show('Archiving Favorites', 'Downloading...');
+  ProgressModal.update(0, `Queueing ${media.length} files...`);
+  await sendRuntimeMessage({ action: 'startDownloads', media });
 
-  // Send to background script for download
-  chrome.runtime.sendMessage({
-    action: 'startDownloads',
-    media
+  const outcome = await waitForDownloads(media);
+  if (outcome.cancelled) {
+    ProgressModal.hide();
+    const shouldRefresh = confirm('Archive cancelled before anything was unfavorited. Downloads already queued keep running - see the extension popup.\n\nClick OK to refresh the page.');
+    if (shouldRefresh) {
+      window.location.reload();
+    }
+    return;
+  }
+
+  // A post is archived only when every one of its files was saved and passed the integrity check.
+  // Posts with a file that could not even be identified are kept as well.
+  const failedByPost = new Map(unresolved);
+  media.forEach(item => {
+    const state = outcome.states.get(item.url);
+    if (!state || !state.saved) {
+      const reasons = failedByPost.get(item.postId) || [];
+      reasons.push(`${item.type}${item.isHD ? ' HD' : ''}: ${state ? state.reason : 'not downloaded'}`);
+      failedByPost.set(item.postId, reasons);
+    }
   });
+  const savedPostIds = postIds.filter(postId => !failedByPost.has(postId));
+  console.log(`${savedPostIds.length} of ${postIds.length} posts fully saved`);
+
+  ProgressModal.show('Archiving Favorites', 'Unfavoriting saved posts...');
+  const { successCount, failCount, failures, cancelled } = await unfavoritePosts(savedPostIds, 'archived posts');
+  ProgressModal.hide();
 
+  const kept = Array.from(failedByPost.entries()).filter(([postId]) => postId);
+  if (kept.length > 0) {
+    console.warn('Posts kept because a file was not saved:', Object.fromEntries(kept));
+  }
+  const report = kept.slice(0, 10).map(([postId, reasons]) => `${postId} (${reasons.join(', ')})`).join('\n');
+  const more = kept.length > 10 ? `\n...and ${kept.length - 10} more (see console)` : '';
+
+  const shouldRefresh = confirm(
+    `${cancelled ? 'Archive cancelled during unfavoriting' : 'Archive finished'}! ${successCount} posts were saved and unfavorited` +
+    `${failCount > 0 ? `, ${failCount} could not be unfavorited (${summarizeFailures(failures)})` : ''}.` +
+    `${kept.length > 0 ? `\n\n${kept.length} posts stay favorited because a file failed or could not be identified:\n${report}${more}` : ''}` +
+    '\n\nClick OK to refresh the page now (required to see changes).'
+  );
   if (shouldRefresh) {
     window.location.reload();
   }
 }
 
 /**
- * Handles unfavorite all operation
+ * Lists every file an archived post needs: its image, its video and the HD video
+ * when one exists. Posts where one of these can't be determined - the video was
+ * only seen as a play overlay, or the HD check timed out - are reported as
+ * unresolved so the archive keeps them favorited.
+ * @param {Array<Object>} records - Unfiltered post records with a post ID
+ * @param {Object} progress - Modal progress range { start, end } for the HD checks
+ * @returns {Promise<Object>} { media, unresolved } - download items, and post ID -> reasons
  */
-async function handleUnsaveAll() {
-  ProgressModal.show('Unfavoriting All Items', 'Collecting all media...');
+async function buildArchiveMedia(records, { start = 60, end = 90 } = {}) {
+  const capturedAt = Date.now();
+  const media = [];
+  const unresolved = new Map();
+  const addUnresolved = (postId, reason) => {
+    unresolved.set(postId, (unresolved.get(postId) || []).concat(reason));
+  };
 
-  // Collect ALL media just like download does
-  const allMedia = await scrollAndCollectMedia('saveBoth');
+  for (let i = 0; i < records.length; i++) {
+    if (ProgressModal.isCancelled()) {
+      console.log('Archive collection cancelled by user');
+      throw new Error('Operation cancelled by user');
+    }
 
-  console.log(`Collected ${allMedia.length} total media files`);
+    const record = records[i];
+    if (record.imageUrl) {
+      media.push(toDownloadItem({
+        url: record.imageUrl,
+        filename: record.imageFilename,
+        isVideo: false,
+        isHD: false,
+        key: `image:${record.postId}`,
+        postId: record.postId,
+        videoId: null,
+        index: record.index,
+        createdAt: record.createdAt
+      }, capturedAt));
+    } else {
+      addUnresolved(record.postId, 'image: URL unknown');
+    }
 
-  // Extract unique post IDs from IMAGE URLs only (post ID = image UUID, not video UUID)
-  // For older posts, videos have different UUIDs than their images
-  // URL patterns:
-  //   - https://assets.grok.com/users/{userId}/{postId}/content
-  //   - https://assets.grok.com/users/{userId}/generated/{postId}/preview_image.jpg
-  //   - https://imagine-public.x.ai/imagine-public/images/{postId}.png
-  const postIdsSet = new Set();
-  for (const item of allMedia) {
-    // Only extract UUID from image URLs (skip videos)
-    if (!item.url.includes('generated_video')) {
-      let postId = null;
-
-      // Try pattern 1 & 2: UUID before /content or /preview_image.jpg
-      let match = item.url.match(/\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\/(content|preview_image\.jpg)/i);
-      if (match && match[1]) {
-        postId = match[1];
-      } else {
-        // Try pattern 3: UUID in /images/{uuid}.png
-        match = item.url.match(/\/images\/([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.(png|jpg|jpeg)/i);
-        if (match && match[1]) {
-          postId = match[1];
+    if (record.videoUrl) {
+      media.push(toDownloadItem({
+        url: record.videoSrc,
+        filename: record.videoFilename,
+        isVideo: true,
+        isHD: false,
+        key: record.videoId ? `video:${record.videoId}` : `url:${record.videoUrl}`,
+        postId: record.postId,
+        videoId: record.videoId,
+        index: record.index,
+        createdAt: record.createdAt
+      }, capturedAt));
+
+      const hdStatus = record.hdUrl ? await probeVideo(record.hdUrl) : 'missing';
+      if (hdStatus === 'exists') {
+        media.push(toDownloadItem({
+          url: record.hdUrl,
+          filename: record.videoFilename.replace(/(\.[^.]+)$/, '-HD$1'),
+          isVideo: true,
+          isHD: true,
+          key: record.videoId ? `video-hd:${record.videoId}` : `url:${record.hdUrl}`,
+          postId: record.postId,
+          videoId: record.videoId,
+          index: record.index,
+          createdAt: record.createdAt
+        }, capturedAt));
+      } else if (hdStatus === 'unknown') {
+        addUnresolved(record.postId, 'video HD: check timed out');
+      }
+    } else if (hasVideo(record)) {
+      addUnresolved(record.postId, 'video: URL unknown');
+    }
+
+    const progress = start + (((i + 1) / records.length) * (end - start));
+    ProgressModal.update(progress, `Listed files of ${i + 1}/${records.length} posts - ${media.length} files`);
+  }
+
+  return { media, unresolved };
+}
+
+/**
+ * Follows the persisted download job until every given file has settled
+ * @param {Array} media - Download items sent to the background worker
+ * @returns {Promise<Object>} { cancelled, states } with states mapping each URL to { saved, reason }
+ */
+function waitForDownloads(media) {
+  const pending = new Set(media.map(item => item.url));
+  const states = new Map();
+  const total = pending.size;
+
+  return new Promise(resolve => {
+    let timer = null;
+    let finished = false;
+
+    const finish = (cancelled) => {
+      if (finished) return;
+      finished = true;
+      clearInterval(timer);
+      chrome.storage.onChanged.removeListener(onStorageChange);
+      resolve({ cancelled, states });
+    };
+
+    // Record each file's final state as soon as it settles; the popup may clear a finished job
+    const inspect = (job) => {
+      if (finished) return;
+      if (!job) {
+        finish(false); // Job replaced or cleared - whatever hasn't settled counts as not downloaded
+        return;
+      }
+      job.items.forEach(item => {
+        if (!pending.has(item.url)) return;
+        if (item.state === 'done') {
+          states.set(item.url, { saved: !item.integrityIssue, reason: item.integrityIssue || null });
+        } else if (item.state === 'failed' || item.state === 'cancelled') {
+          states.set(item.url, { saved: false, reason: item.lastError || item.state });
+        } else {
+          return;
         }
+        pending.delete(item.url);
+      });
+
+      const paused = job.status === 'paused' ? ' (paused)' : '';
+      ProgressModal.update(((total - pending.size) / total) * 100, `Downloaded ${total - pending.size} of ${total} files${paused} - keep this tab open`);
+      if (pending.size === 0) {
+        finish(false);
       }
+    };
 
-      if (postId) {
-        console.log(`Found image URL: ${item.url} -> Post ID: ${postId}`);
-        postIdsSet.add(postId);
-      } else {
-        console.log(`Image URL but couldn't extract post ID: ${item.url}`);
+    const onStorageChange = (changes, areaName) => {
+      if (areaName === 'local' && changes.downloadJob) {
+        inspect(changes.downloadJob.newValue);
       }
-    }
-  }
+    };
 
-  const postIds = Array.from(postIdsSet);
-  console.log(`Found ${postIds.length} unique posts to unfavorite:`, postIds);
+    chrome.storage.onChanged.addListener(onStorageChange);
+    timer = setInterval(() => {
+      if (ProgressModal.isCancelled()) {
+        finish(true);
+      }
+    }, 500);
+    chrome.storage.local.get(['downloadJob'], (result) => inspect(result.downloadJob));
+  });
+}
 
-  if (postIds.length === 0) {
-    ProgressModal.hide();
-    const shouldRefresh = confirm('No items found.\n\nClick OK to refresh the page.');
-    if (shouldRefresh) {
-      window.location.reload();
-    }
+/**
+ * Favorites the posts of the most recent unfavorite batch again. Restored posts
+ * leave the journal; posts that fail stay in it so the restore can be repeated.
+ */
+async function handleRestoreLastBatch() {
+  const journal = await readJournal();
+  const batch = journal[journal.length - 1];
+
+  if (!batch) {
+    alert('There is no unfavorite batch to restore.');
     return;
   }
 
-  const estimatedTime = Math.ceil(postIds.length * TIMING.UNFAVORITE_DELAY / 1000);
-  ProgressModal.update(0, `Found ${postIds.length} items. Starting unfavorite process (${estimatedTime}s)...`);
+  const startedAt = new Date(batch.startedAt).toLocaleString();
+  if (!confirm(`Restore the last unfavorite batch?\n\n${batch.entries.length} ${batch.label} unfavorited on ${startedAt} will be favorited again.`)) {
+    return;
+  }
 
-  let successCount = 0;
-  let failCount = 0;
+  ProgressModal.show('Restoring Favorites', `Batch from ${startedAt}`);
 
-  for (let i = 0; i < postIds.length; i++) {
+  const entries = batch.entries.slice();
+  const failed = [];
+  const failures = [];
+  let restoredCount = 0;
+
+  for (let i = 0; i < entries.length; i++) {
     // Check for cancellation
     if (ProgressModal.isCancelled()) {
-      console.log(`Unfavorite operation cancelled at item ${i + 1}`);
+      console.log(`Restore cancelled at item ${i + 1}`);
+      batch.entries = failed.concat(entries.slice(i));
+      await writeJournalBatch(batch);
       ProgressModal.hide();
-      const shouldRefresh = confirm(`Operation cancelled. ${successCount} of ${postIds.length} items were unfavorited.\n\nClick OK to refresh the page.`);
+      const shouldRefresh = confirm(`Operation cancelled. ${restoredCount} of ${entries.length} posts were favorited again; the rest stay in the journal.\n\nClick OK to refresh the page.`);
       if (shouldRefresh) {
         window.location.reload();
       }
       return;
     }
 
-    try {
-      const success = await unlikePost(postIds[i]);
-      if (success) {
-        successCount++;
-        console.log(`Unfavorited item ${i + 1} of ${postIds.length}`);
-      } else {
-        failCount++;
-        console.warn(`Failed to unfavorite item ${i + 1}`);
+    const { postId } = entries[i];
+    const result = await likePost(postId);
+    if (result.ok) {
+      restoredCount++;
+      console.log(`Restored post ${postId} (${i + 1} of ${entries.length})`);
+      if (restoredCount === 1) {
+        await invalidateSnapshot();
       }
+    } else {
+      failed.push(entries[i]);
+      failures.push({ postId, status: result.status, error: result.error });
+      console.warn(`Failed to restore post ${postId} (${result.error})`);
+    }
 
-      const progress = ((i + 1) / postIds.length) * 100;
-      ProgressModal.update(progress, `Unfavorited ${successCount} of ${postIds.length} items`);
+    // Keep the journal current so an interrupted restore doesn't like posts twice
+    batch.entries = failed.concat(entries.slice(i + 1));
+    await writeJournalBatch(batch);
 
-      // Small delay between requests
-      await new Promise(resolve => setTimeout(resolve, TIMING.UNFAVORITE_DELAY));
-    } catch (error) {
-      failCount++;
-      console.error(`Failed to unfavorite item ${i + 1}:`, error);
-    }
+    ProgressModal.update(((i + 1) / entries.length) * 100, `Restored ${restoredCount} of ${entries.length} posts`);
+    await new Promise(resolve => setTimeout(resolve, TIMING.UNFAVORITE_DELAY));
   }
 
   ProgressModal.hide();
-  const shouldRefresh = confirm(`Finished! Successfully unfavorited ${successCount} items${failCount > 0 ? `, ${failCount} failed` : ''}.\n\nClick OK to refresh the page now (required to see changes and before next operation).`);
+  if (failed.length > 0) {
+    console.warn('Posts that could not be restored:', failed.map(entry => entry.postId));
+    const listed = failed.slice(0, 10).map(entry => entry.postId).join('\n');
+    const more = failed.length > 10 ? `\n...and ${failed.length - 10} more (see console)` : '';
+    const shouldRefresh = confirm(`Restored ${restoredCount} of ${entries.length} posts. ${failed.length} failed (${summarizeFailures(failures)}) and stay in the journal - run the restore again to retry them:\n\n${listed}${more}\n\nClick OK to refresh the page.`);
+    if (shouldRefresh) {
+      window.location.reload();
+    }
+    return;
+  }
+
+  const shouldRefresh = confirm(`Finished! All ${restoredCount} posts are favorites again.\n\nClick OK to refresh the page now (required to see changes).`);
   if (shouldRefresh) {
     window.location.reload();
   }
@@ -6,6 +6,10 @@
 // Constants
 const UPDATE_INTERVAL = 1000; // Update progress every second
 const PROGRESS_CLEAR_DELAY = 5000; // Clear progress after 5 seconds
+const SELECTOR_NAMES = ['CARD', 'IMAGE', 'VIDEO', 'VIDEO_INDICATOR', 'UNSAVE_BUTTON', 'LIST_ITEM']; // Keys of SELECTORS in content.js
+
+// ID of the finished download job whose removal is already scheduled
+let clearScheduledForJob = null;
 
 /**
  * Initialize event listeners when DOM is ready
@@ -18,19 +22,50 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('saveImages').addEventListener('click', () => sendAction('saveImages'));
   document.getElementById('saveVideos').addEventListener('click', () => sendAction('saveVideos'));
   document.getElementById('saveBoth').addEventListener('click', () => sendAction('saveBoth'));
+  document.getElementById('saveNew').addEventListener('click', () => sendAction('saveNew'));
+  document.getElementById('saveAllVersions').addEventListener('click', () => sendAction('saveAllVersions'));
+  document.getElementById('exportZip').addEventListener('click', () => sendAction('exportZip'));
   document.getElementById('upscaleVideos').addEventListener('click', () => sendAction('upscaleVideos'));
+  document.getElementById('checkUpscales').addEventListener('click', checkUpscales);
+  document.getElementById('exportUpscaleResults').addEventListener('click', () => sendAction('exportUpscaleResults'));
+  document.getElementById('exportCatalogJson').addEventListener('click', () => sendAction('exportCatalogJson'));
+  document.getElementById('exportCatalogCsv').addEventListener('click', () => sendAction('exportCatalogCsv'));
   
   // Manage actions
   document.getElementById('unsaveAll').addEventListener('click', () => sendAction('unsaveAll'));
+  document.getElementById('archive').addEventListener('click', () => sendAction('archive'));
+  document.getElementById('unsaveImageOnly').addEventListener('click', () => sendAction('unsaveImageOnly'));
+  document.getElementById('unsaveWithVideo').addEventListener('click', () => sendAction('unsaveWithVideo'));
+  document.getElementById('unsaveBackedUp').addEventListener('click', () => sendAction('unsaveBackedUp'));
+  document.getElementById('restoreLastBatch').addEventListener('click', () => sendAction('restoreLastBatch'));
+  document.getElementById('rescanFavorites').addEventListener('click', () => sendAction('rescanFavorites'));
+  document.getElementById('toggleSelection').addEventListener('click', () => sendAction('toggleSelection'));
+  document.getElementById('clearSelection').addEventListener('click', clearSelection);
   
   // Utility actions
   document.getElementById('viewDownloads').addEventListener('click', openDownloadsPage);
   document.getElementById('downloadSettings').addEventListener('click', openDownloadSettings);
   document.getElementById('cancelOperation').addEventListener('click', cancelCurrentOperation);
+  document.getElementById('retryFailed').addEventListener('click', retryFailedDownloads);
+  document.getElementById('pauseDownloads').addEventListener('click', () => sendJobControl('pauseDownloads'));
+  document.getElementById('resumeDownloads').addEventListener('click', () => sendJobControl('resumeDownloads'));
+  document.getElementById('cancelDownloads').addEventListener('click', () => sendJobControl('cancelDownloads'));
+  document.getElementById('saveSettings').addEventListener('click', saveSettings);
+  document.getElementById('saveFilter').addEventListener('click', saveFilter);
+  document.getElementById('runDiagnostics').addEventListener('click', runDiagnostics);
+  
+  // Load saved settings into the form
+  loadSettings();
+  loadSnapshotStatus();
+  loadSelectionStatus();
+  loadFilter();
+  loadJournalStatus();
   
   // Start progress tracking
   setInterval(updateProgress, UPDATE_INTERVAL);
   updateProgress();
+  setInterval(loadUpscaleStatus, UPDATE_INTERVAL);
+  loadUpscaleStatus();
   
   // Check for active operations
   checkActiveOperation();
@@ -50,8 +85,9 @@ function checkIfOnFavoritesPage() {
     if (!isFavoritesPage) {
       // Disable all action buttons
       const actionButtons = [
-        'saveImages', 'saveVideos', 'saveBoth', 'upscaleVideos',
-        'unsaveAll'
+        'saveImages', 'saveVideos', 'saveBoth', 'saveNew', 'saveAllVersions', 'exportZip',
+        'exportCatalogJson', 'exportCatalogCsv', 'upscaleVideos', 'exportUpscaleResults',
+        'archive', 'unsaveAll', 'unsaveImageOnly', 'unsaveWithVideo', 'unsaveBackedUp', 'restoreLastBatch', 'rescanFavorites', 'runDiagnostics', 'toggleSelection'
       ];
       
       actionButtons.forEach(buttonId => {
@@ -167,6 +203,354 @@ function cancelCurrentOperation() {
   });
 }
 
+/**
+ * Asks the background worker to re-queue downloads that failed after all retries
+ * or were flagged as corrupt
+ */
+function retryFailedDownloads() {
+  chrome.runtime.sendMessage({ action: 'retryFailed' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Failed to retry downloads:', chrome.runtime.lastError || (response && response.error));
+      return;
+    }
+    updateProgress();
+  });
+}
+
+/**
+ * Pauses, resumes or cancels the background download job
+ * @param {string} action - pauseDownloads, resumeDownloads or cancelDownloads
+ */
+function sendJobControl(action) {
+  chrome.runtime.sendMessage({ action }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error(`Failed to ${action}:`, chrome.runtime.lastError || (response && response.error));
+    }
+    updateProgress();
+  });
+}
+
+/**
+ * Fills the settings form with the stored settings
+ */
+function loadSettings() {
+  chrome.runtime.sendMessage({ action: 'getSettings' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Failed to load settings:', chrome.runtime.lastError || (response && response.error));
+      return;
+    }
+    document.getElementById('filenameTemplate').value = response.settings.filenameTemplate;
+    document.getElementById('baseFolder').value = response.settings.baseFolder;
+    document.getElementById('folderLayout').value = response.settings.folderLayout;
+    document.getElementById('zipMaxSizeMB').value = response.settings.zipMaxSizeMB;
+    document.getElementById('writeSidecars').checked = response.settings.writeSidecars;
+    document.getElementById('maxConcurrentDownloads').value = response.settings.maxConcurrentDownloads;
+    document.getElementById('downloadPacingMs').value = response.settings.downloadPacingMs;
+    document.getElementById('maxConcurrentUpscales').value = response.settings.maxConcurrentUpscales;
+    const overrides = response.settings.selectorOverrides || {};
+    document.getElementById('selectorOverrides').value = Object.keys(overrides).length > 0
+      ? JSON.stringify(overrides, null, 2)
+      : '';
+  });
+}
+
+/**
+ * Shows how many favorites the cached snapshot holds and how old it is
+ */
+function loadSnapshotStatus() {
+  chrome.runtime.sendMessage({ action: 'getSnapshotInfo' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Failed to load snapshot:', chrome.runtime.lastError || (response && response.error));
+      return;
+    }
+    if (!response.snapshot) return;
+
+    const { count, capturedAt } = response.snapshot;
+    document.getElementById('snapshotStatus').textContent =
+      `${count} favorites, scanned ${formatAge(Date.now() - capturedAt)} - operations only look for newer ones`;
+  });
+}
+
+/**
+ * Shows how many posts are selected; actions only apply to those
+ */
+function loadSelectionStatus() {
+  chrome.storage.local.get(['selectedPostIds'], (result) => {
+    const count = (result.selectedPostIds || []).length;
+    document.getElementById('selectionStatus').textContent = count > 0
+      ? `${count} posts selected - actions apply to these only`
+      : 'No selection - actions apply to all favorites';
+    document.getElementById('clearSelection').disabled = count === 0;
+  });
+}
+
+/**
+ * Describes the unfavorite batch that "Restore Last Unfavorite Batch" would undo
+ */
+function loadJournalStatus() {
+  chrome.storage.local.get(['unfavoriteJournal'], (result) => {
+    const journal = result.unfavoriteJournal || [];
+    const batch = journal[journal.length - 1];
+    document.getElementById('restoreLastBatch').disabled = !batch;
+    document.getElementById('journalStatus').textContent = batch
+      ? `Last batch: ${batch.entries.length} ${batch.label}, unfavorited ${formatAge(Date.now() - batch.startedAt)}`
+      : '';
+  });
+}
+
+/**
+ * Shows how many tracked upscales are still waiting for their HD video
+ */
+function loadUpscaleStatus() {
+  chrome.storage.local.get(['upscaleTracker'], (result) => {
+    const entries = Object.values(result.upscaleTracker || {});
+    const count = state => entries.filter(entry => entry.state === state).length;
+    const pending = count('pending');
+
+    document.getElementById('checkUpscales').disabled = pending === 0;
+    document.getElementById('upscaleStatus').textContent = entries.length > 0
+      ? `Upscales: ${pending} pending, ${count('ready')} ready, ${count('failed')} failed - HD videos download automatically`
+      : 'No upscales tracked';
+  });
+}
+
+/**
+ * Checks the pending upscales right away instead of waiting for the next periodic check
+ */
+function checkUpscales() {
+  const button = document.getElementById('checkUpscales');
+  button.disabled = true;
+  chrome.runtime.sendMessage({ action: 'checkUpscales' }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      console.error('Upscale check failed:', chrome.runtime.lastError || (response && response.error));
+    }
+    loadUpscaleStatus();
+  });
+}
+
+/**
+ * Clears the selection; the page overlay follows through storage change events
+ */
+function clearSelection() {
+  chrome.storage.local.set({ selectedPostIds: [] }, loadSelectionStatus);
+}
+
+/**
+ * Formats a duration as a short "x ago" phrase
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} h ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+/**
+ * Saves the settings form through the background worker, which validates it
+ */
+function saveSettings() {
+  const status = document.getElementById('settingsStatus');
+
+  let selectorOverrides;
+  try {
+    selectorOverrides = parseSelectorOverrides(document.getElementById('selectorOverrides').value);
+  } catch (error) {
+    status.style.color = '#ff6b6b';
+    status.textContent = error.message;
+    return;
+  }
+
+  const settings = {
+    filenameTemplate: document.getElementById('filenameTemplate').value,
+    baseFolder: document.getElementById('baseFolder').value,
+    folderLayout: document.getElementById('folderLayout').value,
+    zipMaxSizeMB: Number(document.getElementById('zipMaxSizeMB').value),
+    writeSidecars: document.getElementById('writeSidecars').checked,
+    maxConcurrentDownloads: Number(document.getElementById('maxConcurrentDownloads').value),
+    downloadPacingMs: Number(document.getElementById('downloadPacingMs').value),
+    maxConcurrentUpscales: Number(document.getElementById('maxConcurrentUpscales').value),
+    selectorOverrides
+  };
+
+  chrome.runtime.sendMessage({ action: 'saveSettings', settings }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.success) {
+      status.style.color = '#ff6b6b';
+      status.textContent = (response && response.error) || 'Failed to save settings';
+      return;
+    }
+    status.style.color = '';
+    status.textContent = 'Settings saved';
+    document.getElementById('baseFolder').value = response.settings.baseFolder;
+    setTimeout(() => { status.textContent = ''; }, 2000);
+  });
+}
+
+/**
+ * Parses and checks the selector overrides field
+ * @param {string} text - JSON object mapping selector names to CSS selectors
+ * @returns {Object} The overrides
+ */
+function parseSelectorOverrides(text) {
+  if (!text.trim()) return {};
+
+  let overrides;
+  try {
+    overrides = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Selector overrides must be valid JSON');
+  }
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Selector overrides must be a JSON object');
+  }
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!SELECTOR_NAMES.includes(key)) {
+      throw new Error(`Unknown selector name: ${key}`);
+    }
+    try {
+      document.createDocumentFragment().querySelector(value);
+    } catch (e) {
+      throw new Error(`Invalid CSS selector for ${key}`);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Asks the content script which selectors match on the current page and lists the result
+ */
+function runDiagnostics() {
+  const container = document.getElementById('diagnosticsReport');
+  const list = document.getElementById('diagnosticsList');
+  container.style.display = 'block';
+  list.textContent = 'Checking selectors...';
+
+  chrome.tabs.query({ active: true, currentWindow: true }, async (tabs) => {
+    if (!tabs || tabs.length === 0) {
+      console.error('No active tab found');
+      return;
+    }
+
+    const tab = tabs[0];
+    const unreachable = 'Could not reach the page. Refresh grok.com/imagine/favorites and try again.';
+
+    // Inject the content script first if it isn't loaded yet
+    chrome.tabs.sendMessage(tab.id, { action: 'ping' }, async () => {
+      if (chrome.runtime.lastError) {
+        try {
+          await chrome.scripting.executeScript({
+            target: { tabId: tab.id },
+            files: ['content.js']
+          });
+        } catch (error) {
+          console.error('Failed to inject content script:', error);
+          list.textContent = unreachable;
+          return;
+        }
+      }
+
+      chrome.tabs.sendMessage(tab.id, { action: 'runDiagnostics' }, (response) => {
+        if (chrome.runtime.lastError || !response || !response.success) {
+          list.textContent = unreachable;
+          return;
+        }
+        renderDiagnostics(response.report);
+      });
+    });
+  });
+}
+
+/**
+ * Lists every selector with the strategy in use and its match count
+ * @param {Array} report - Diagnostics from the content script
+ */
+function renderDiagnostics(report) {
+  const list = document.getElementById('diagnosticsList');
+  list.textContent = '';
+
+  report.forEach(({ key, candidates, active }) => {
+    const row = document.createElement('div');
+    if (active < 0) {
+      row.className = 'missing';
+      const invalid = candidates.filter(candidate => candidate.matches < 0).length;
+      row.textContent = `${key}: no match (${candidates.length} tried${invalid > 0 ? `, ${invalid} invalid` : ''})`;
+    } else {
+      const { selector, source, matches } = candidates[active];
+      const via = source === 'override' ? 'override' : (active === 0 ? 'primary' : `fallback #${active}`);
+      row.textContent = `${key}: ${matches} via ${via} - ${selector}`;
+    }
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Fills the filter form with the stored filter rules
+ */
+function loadFilter() {
+  chrome.storage.local.get(['operationFilter'], (result) => {
+    const filter = result.operationFilter;
+    if (!filter) return;
+    document.getElementById('filterEnabled').checked = filter.enabled;
+    document.getElementById('filterMediaType').value = filter.mediaType;
+    document.getElementById('filterVideo').value = filter.video;
+    document.getElementById('filterHd').value = filter.hd;
+    document.getElementById('filterRangeStart').value = filter.rangeStart || '';
+    document.getElementById('filterRangeEnd').value = filter.rangeEnd || '';
+    document.getElementById('filterHost').value = filter.host;
+  });
+}
+
+/**
+ * Validates and stores the filter rules; the content script reads them when an action starts
+ */
+function saveFilter() {
+  const status = document.getElementById('filterStatus');
+  const readPosition = (id) => {
+    const raw = document.getElementById(id).value.trim();
+    if (!raw) return null;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error('Positions must be whole numbers starting at 1');
+    }
+    return value;
+  };
+
+  let rangeStart;
+  let rangeEnd;
+  try {
+    rangeStart = readPosition('filterRangeStart');
+    rangeEnd = readPosition('filterRangeEnd');
+    if (rangeStart && rangeEnd && rangeStart > rangeEnd) {
+      throw new Error('"From" position must not be after "To"');
+    }
+  } catch (error) {
+    status.style.color = '#ff6b6b';
+    status.textContent = error.message;
+    return;
+  }
+
+  const filter = {
+    enabled: document.getElementById('filterEnabled').checked,
+    mediaType: document.getElementById('filterMediaType').value,
+    video: document.getElementById('filterVideo').value,
+    hd: document.getElementById('filterHd').value,
+    rangeStart,
+    rangeEnd,
+    host: document.getElementById('filterHost').value
+  };
+
+  chrome.storage.local.set({ operationFilter: filter }, () => {
+    status.style.color = '';
+    status.textContent = filter.enabled ? 'Filter saved - actions only apply to matching favorites' : 'Filter saved (off)';
+    setTimeout(() => { status.textContent = ''; }, 2000);
+  });
+}
+
 /**
  * Checks if there's an active operation and shows/hides cancel button
  */
@@ -197,23 +581,47 @@ function checkActiveOperation() {
  * Updates download progress display
  */
 function updateProgress() {
-  chrome.storage.local.get(['totalDownloads', 'downloadProgress'], (result) => {
-    const total = result.totalDownloads || 0;
-    const progress = result.downloadProgress || {};
-    const completed = Object.values(progress).filter(s => s === 'complete').length;
-    
+  chrome.storage.local.get(['downloadJob'], (result) => {
+    const job = result.downloadJob;
+    const items = job ? job.items : [];
+    const total = items.length;
+    const completed = items.filter(item => item.state === 'done').length;
+    const failed = items.filter(item => item.state === 'failed').length;
+    const cancelled = items.filter(item => item.state === 'cancelled').length;
+    const status = job ? job.status : null;
+
     const progressElement = document.getElementById('progress');
     const progressText = document.getElementById('progressText');
-    
+
+    const flagged = items.filter(item => item.state === 'done' && item.integrityIssue).length;
+    renderFailedDownloads(
+      items.filter(item => item.state === 'failed' || (item.state === 'done' && item.integrityIssue)),
+      status === 'complete' || status === 'cancelled'
+    );
+
+    const isActive = status === 'running' || status === 'paused';
+    document.getElementById('pauseDownloads').style.display = status === 'running' ? 'flex' : 'none';
+    document.getElementById('resumeDownloads').style.display = status === 'paused' ? 'flex' : 'none';
+    document.getElementById('cancelDownloads').style.display = isActive ? 'flex' : 'none';
+
     if (total > 0) {
       progressElement.style.display = 'block';
-      progressText.textContent = `${completed} of ${total} downloads complete`;
-      
-      // Clear progress after all complete
-      if (completed === total) {
+      const prefix = status === 'paused' ? 'Paused - ' : (status === 'cancelled' ? 'Cancelled - ' : '');
+      progressText.textContent = `${prefix}${completed} of ${total} downloads complete` +
+        `${failed > 0 ? `, ${failed} failed` : ''}${flagged > 0 ? `, ${flagged} look corrupt` : ''}` +
+        `${cancelled > 0 ? `, ${cancelled} cancelled` : ''}`;
+
+      // Clear progress once the job finished without failures. The background worker only
+      // removes the job if it is still this one, so a job started meanwhile is kept.
+      if ((status === 'complete' || status === 'cancelled') && failed === 0 && flagged === 0 && clearScheduledForJob !== job.id) {
+        clearScheduledForJob = job.id;
         setTimeout(() => {
-          chrome.storage.local.remove(['totalDownloads', 'downloadProgress']);
-          progressElement.style.display = 'none';
+          chrome.runtime.sendMessage({ action: 'clearFinishedJob', jobId: job.id }, () => {
+            if (chrome.runtime.lastError) {
+              console.error('Failed to clear finished job:', chrome.runtime.lastError);
+            }
+            updateProgress();
+          });
         }, PROGRESS_CLEAR_DELAY);
       }
     } else {
@@ -221,3 +629,30 @@ function updateProgress() {
     }
   });
 }
+
+/**
+ * Lists downloads that need re-downloading: failed after all retries, or
+ * completed but flagged by the integrity check
+ * @param {Array} items - Failed and flagged job items
+ * @param {boolean} jobFinished - Whether the job has finished (shows the final report)
+ */
+function renderFailedDownloads(items, jobFinished) {
+  const container = document.getElementById('failedDownloads');
+  const list = document.getElementById('failedList');
+
+  if (items.length === 0) {
+    container.style.display = 'none';
+    return;
+  }
+
+  container.style.display = 'block';
+  document.getElementById('failedTitle').textContent = jobFinished
+    ? `JOB REPORT - ${items.length} NEED RE-DOWNLOAD`
+    : `NEEDS RE-DOWNLOAD (${items.length})`;
+  list.textContent = '';
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.textContent = `${item.filename} (${item.integrityIssue || item.lastError || 'UNKNOWN'})`;
+    list.appendChild(row);
+  });
+}